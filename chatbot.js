@@ -6,34 +6,75 @@
 📚 NEW SETUP STEPS:
 
 STEP 1: Install new dependencies
-npm install express axios dotenv sqlite3
+npm install express axios dotenv sqlite3 js-yaml exceljs
 
-STEP 2: Run the server
+STEP 2: Create a .env file
+VERIFY_TOKEN=your_secret_verify_token
+APP_SECRET=your_meta_app_secret   (checks X-Hub-Signature-256 on webhooks)
+WHATSAPP_TOKEN=your_whatsapp_access_token
+WHATSAPP_PHONE_ID=your_phone_number_id
+ADMIN_USERNAME=admin              (first admin account, created once)
+ADMIN_PASSWORD=change_me
+ENABLE_TEST_ENDPOINT=true         (dev only, enables POST /test)
+TZ=Africa/Casablanca              (opening hours and appointments use the server time zone)
+DB_PATH=./whatsapp_bot.db         (optional, ':memory:' for tests)
+LOG_LEVEL=info                    (optional, 'warn' hides the per-message logs)
+
+STEP 3: Edit the conversation in flows/*.json (or .yaml)
+The server refuses to start if a flow is invalid.
+
+STEP 4: Run the server
 node chatbot.js
 
-STEP 3: Access admin dashboard
+STEP 5: Access admin dashboard
 http://localhost:3000/admin
 
-STEP 4: View all conversations in real-time!
+STEP 6: View all conversations in real-time!
 */
 
 require('dotenv').config();
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const fs = require('fs');
+const path = require('path');
 const express = require('express');
 const axios = require('axios');
 const sqlite3 = require('sqlite3').verbose();
+const yaml = require('js-yaml');
+const ExcelJS = require('exceljs');
+
+// LOG_LEVEL=warn keeps only warnings and errors (the tests run with it)
+const log = process.env.LOG_LEVEL === 'warn' ? () => {} : console.log;
 
 // ==========================================
 // DATABASE SETUP
 // ==========================================
 
-const db = new sqlite3.Database('./whatsapp_bot.db', (err) => {
+const db = new sqlite3.Database(process.env.DB_PATH || './whatsapp_bot.db', (err) => {
   if (err) {
     console.error('❌ Database error:', err);
   } else {
-    console.log('✅ Database connected');
+    log('✅ Database connected');
   }
 });
 
+// Quotes table, also built under another name by migrateQuotesPerRequest
+const quotesTable = (name) => `CREATE TABLE IF NOT EXISTS ${name} (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  user_phone TEXT NOT NULL,
+  request_id INTEGER REFERENCES requests(id),
+  version INTEGER NOT NULL,
+  kind TEXT NOT NULL,
+  low INTEGER NOT NULL,
+  high INTEGER NOT NULL,
+  details TEXT NOT NULL DEFAULT '{}',
+  status TEXT NOT NULL DEFAULT 'estimate',
+  created_by TEXT,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (request_id, version),
+  FOREIGN KEY (user_phone) REFERENCES users(phone_number)
+)`;
+
 // Create tables
 db.serialize(() => {
   // Users table
@@ -45,6 +86,13 @@ db.serialize(() => {
     last_interaction DATETIME DEFAULT CURRENT_TIMESTAMP
   )`);
 
+  // Language chosen or detected for each user (fr, ar, en)
+  db.run(`ALTER TABLE users ADD COLUMN locale TEXT`, (err) => {
+    if (err && !/duplicate column/.test(err.message)) {
+      console.error('❌ Database migration error:', err);
+    }
+  });
+
   // Conversations table
   db.run(`CREATE TABLE IF NOT EXISTS conversations (
     id INTEGER PRIMARY KEY AUTOINCREMENT,
@@ -56,7 +104,7 @@ db.serialize(() => {
     FOREIGN KEY (user_phone) REFERENCES users(phone_number)
   )`);
 
-  // User data table (stores form responses)
+  // User data table (latest form responses of each user, replaced by requests)
   db.run(`CREATE TABLE IF NOT EXISTS user_data (
     id INTEGER PRIMARY KEY AUTOINCREMENT,
     user_phone TEXT NOT NULL UNIQUE,
@@ -72,128 +120,677 @@ db.serialize(() => {
     FOREIGN KEY (user_phone) REFERENCES users(phone_number)
   )`);
 
-  console.log('✅ Database tables created');
+  // Media sent by customers (photos, voice notes, documents, locations)
+  ['media_type TEXT', 'media_ref TEXT'].forEach(column => {
+    db.run(`ALTER TABLE conversations ADD COLUMN ${column}`, (err) => {
+      if (err && !/duplicate column/.test(err.message)) {
+        console.error('❌ Database migration error:', err);
+      }
+    });
+  });
+
+  // Answers to "photo" and "location" flow steps, the phone model picked after the brand,
+  // the values parsed by step validators (JSON, e.g. {"budget": 3000}),
+  // the phone reserved from the catalog and the repair drop-off appointment
+  ['photo TEXT', 'location TEXT', 'model TEXT', 'normalized TEXT', 'product TEXT', 'appointment TEXT'].forEach(column => {
+    db.run(`ALTER TABLE user_data ADD COLUMN ${column}`, (err) => {
+      if (err && !/duplicate column/.test(err.message)) {
+        console.error('❌ Database migration error:', err);
+      }
+    });
+  });
+
+  // Sessions table (conversation state, survives restarts)
+  db.run(`CREATE TABLE IF NOT EXISTS sessions (
+    user_phone TEXT PRIMARY KEY,
+    current_step TEXT NOT NULL,
+    user_data TEXT NOT NULL DEFAULT '{}',
+    history TEXT NOT NULL DEFAULT '[]',
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_phone) REFERENCES users(phone_number)
+  )`);
+
+  // Invalid answers per step (input validation retries)
+  db.run(`ALTER TABLE sessions ADD COLUMN retries TEXT NOT NULL DEFAULT '{}'`, (err) => {
+    if (err && !/duplicate column/.test(err.message)) {
+      console.error('❌ Database migration error:', err);
+    }
+  });
+
+  // Flow versions table (flows edited from the admin panel)
+  db.run(`CREATE TABLE IF NOT EXISTS flow_versions (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    flow_name TEXT NOT NULL,
+    version INTEGER NOT NULL,
+    definition TEXT NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (flow_name, version)
+  )`);
+
+  // WhatsApp message ids already handled (Meta re-delivers webhooks)
+  db.run(`CREATE TABLE IF NOT EXISTS processed_messages (
+    message_id TEXT PRIMARY KEY,
+    user_phone TEXT NOT NULL,
+    processed_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  )`);
+
+  // Incoming messages waiting to be processed (webhook -> worker)
+  db.run(`CREATE TABLE IF NOT EXISTS jobs (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_phone TEXT NOT NULL,
+    message_id TEXT,
+    payload TEXT NOT NULL,
+    response TEXT,
+    status TEXT NOT NULL DEFAULT 'pending',
+    attempts INTEGER NOT NULL DEFAULT 0,
+    last_error TEXT,
+    next_attempt_at DATETIME NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  )`);
+
+  // Jobs that kept failing after every retry
+  db.run(`CREATE TABLE IF NOT EXISTS dead_letters (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_phone TEXT NOT NULL,
+    message_id TEXT,
+    payload TEXT NOT NULL,
+    response TEXT,
+    attempts INTEGER NOT NULL,
+    last_error TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  )`);
+
+  // Staff accounts for the admin panel
+  db.run(`CREATE TABLE IF NOT EXISTS staff_users (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    username TEXT UNIQUE NOT NULL,
+    password_hash TEXT NOT NULL,
+    role TEXT NOT NULL DEFAULT 'agent',
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  )`);
+
+  // Admin panel login sessions (only a hash of the cookie is stored)
+  db.run(`CREATE TABLE IF NOT EXISTS staff_sessions (
+    token_hash TEXT PRIMARY KEY,
+    staff_id INTEGER NOT NULL,
+    expires_at DATETIME NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (staff_id) REFERENCES staff_users(id)
+  )`);
+
+  // API tokens for /api/* (only a hash of the token is stored)
+  db.run(`CREATE TABLE IF NOT EXISTS api_tokens (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT NOT NULL,
+    token_hash TEXT UNIQUE NOT NULL,
+    role TEXT NOT NULL DEFAULT 'agent',
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    last_used_at DATETIME
+  )`);
+
+  // Product catalog (phones for sale, managed from the admin panel)
+  db.run(`CREATE TABLE IF NOT EXISTS products (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    brand TEXT NOT NULL,
+    model TEXT NOT NULL,
+    storage TEXT,
+    condition TEXT NOT NULL DEFAULT 'neuf',
+    price INTEGER NOT NULL,
+    stock INTEGER NOT NULL DEFAULT 0,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  )`);
+
+  // Trade-in prices (sell flow estimates), storage NULL / model '' = any
+  db.run(`CREATE TABLE IF NOT EXISTS pricing_rules (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    brand TEXT NOT NULL,
+    model TEXT NOT NULL DEFAULT '',
+    storage TEXT,
+    base_price INTEGER NOT NULL,
+    multiplier_neuf REAL NOT NULL DEFAULT 1,
+    multiplier_bon REAL NOT NULL DEFAULT 0.8,
+    multiplier_casse REAL NOT NULL DEFAULT 0.4,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  )`);
+
+  // Price quoted to the customer by the bot ('estimate' until staff confirm it)
+  ['quote_low INTEGER', 'quote_high INTEGER', 'quote_status TEXT'].forEach(column => {
+    db.run(`ALTER TABLE user_data ADD COLUMN ${column}`, (err) => {
+      if (err && !/duplicate column/.test(err.message)) {
+        console.error('❌ Database migration error:', err);
+      }
+    });
+  });
+
+  // Repair price list (repair flow quotes), model '' = any model of the brand
+  db.run(`CREATE TABLE IF NOT EXISTS repair_prices (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    brand TEXT NOT NULL,
+    model TEXT NOT NULL DEFAULT '',
+    issue TEXT NOT NULL,
+    parts_cost INTEGER NOT NULL DEFAULT 0,
+    labour_cost INTEGER NOT NULL DEFAULT 0,
+    turnaround_hours INTEGER NOT NULL DEFAULT 24,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  )`);
+
+  // Every quote sent or confirmed, versioned per request (which keeps the latest)
+  db.run(quotesTable('quotes'));
+
+  // Opening hours per weekday (0 = Sunday, closed when opens is NULL)
+  // and how many drop-offs the technicians take per slot
+  db.run(`CREATE TABLE IF NOT EXISTS opening_hours (
+    weekday INTEGER PRIMARY KEY,
+    opens TEXT,
+    closes TEXT,
+    capacity INTEGER NOT NULL DEFAULT 1
+  )`);
+  db.run(`INSERT OR IGNORE INTO opening_hours (weekday, opens, closes, capacity) VALUES
+    (0, NULL, NULL, 0),
+    (1, '09:00', '19:00', 2), (2, '09:00', '19:00', 2), (3, '09:00', '19:00', 2),
+    (4, '09:00', '19:00', 2), (5, '09:00', '19:00', 2), (6, '09:00', '19:00', 2)`);
+
+  // Repair drop-off appointments (starts_at in shop time, 'YYYY-MM-DD HH:MM')
+  db.run(`CREATE TABLE IF NOT EXISTS appointments (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_phone TEXT NOT NULL,
+    starts_at TEXT NOT NULL,
+    status TEXT NOT NULL DEFAULT 'booked',
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_phone) REFERENCES users(phone_number)
+  )`);
+
+  // Repair ticket status changes (requests.status history)
+  db.run(`CREATE TABLE IF NOT EXISTS status_changes (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_phone TEXT NOT NULL,
+    from_status TEXT,
+    to_status TEXT NOT NULL,
+    changed_by TEXT,
+    notified INTEGER NOT NULL DEFAULT 0,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_phone) REFERENCES users(phone_number)
+  )`);
+
+  // Phones reserved by customers from the buy flow
+  db.run(`CREATE TABLE IF NOT EXISTS reservations (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    product_id INTEGER NOT NULL,
+    user_phone TEXT NOT NULL,
+    price INTEGER NOT NULL,
+    status TEXT NOT NULL DEFAULT 'reserved',
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (product_id) REFERENCES products(id),
+    FOREIGN KEY (user_phone) REFERENCES users(phone_number)
+  )`);
+
+  // Who answers each customer: the bot, or a staff member ('human' mode, set from the inbox
+  // or when the customer asks for an advisor)
+  ['chat_mode TEXT NOT NULL DEFAULT \'bot\'', 'assigned_agent TEXT'].forEach(column => {
+    db.run(`ALTER TABLE users ADD COLUMN ${column}`, (err) => {
+      if (err && !/duplicate column/.test(err.message)) {
+        console.error('❌ Database migration error:', err);
+      }
+    });
+  });
+
+  // Staff member who wrote an 'agent' message
+  db.run(`ALTER TABLE conversations ADD COLUMN sent_by TEXT`, (err) => {
+    if (err && !/duplicate column/.test(err.message)) {
+      console.error('❌ Database migration error:', err);
+    }
+  });
+
+  // One request per flow run (user_data only kept the latest answers of each user)
+  db.run(`CREATE TABLE IF NOT EXISTS requests (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_phone TEXT NOT NULL,
+    intent TEXT,
+    brand TEXT,
+    model TEXT,
+    budget TEXT,
+    condition TEXT,
+    issue TEXT,
+    issue_detail TEXT,
+    photo TEXT,
+    location TEXT,
+    product TEXT,
+    appointment TEXT,
+    normalized TEXT,
+    status TEXT DEFAULT 'pending',
+    quote_low INTEGER,
+    quote_high INTEGER,
+    quote_status TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    completed_at DATETIME,
+    FOREIGN KEY (user_phone) REFERENCES users(phone_number)
+  )`);
+
+  // Flow run a session, quote, appointment, reservation or ticket change belongs to
+  ['sessions', 'quotes', 'appointments', 'reservations', 'status_changes'].forEach(table => {
+    db.run(`ALTER TABLE ${table} ADD COLUMN request_id INTEGER REFERENCES requests(id)`, (err) => {
+      if (err && !/duplicate column/.test(err.message)) {
+        console.error('❌ Database migration error:', err);
+      }
+    });
+  });
+
+  // Staff notes and tags on a customer (conversation page)
+  db.run(`CREATE TABLE IF NOT EXISTS customer_notes (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_phone TEXT NOT NULL,
+    text TEXT NOT NULL,
+    created_by TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_phone) REFERENCES users(phone_number)
+  )`);
+  db.run(`CREATE TABLE IF NOT EXISTS customer_tags (
+    user_phone TEXT NOT NULL,
+    tag TEXT NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (user_phone, tag),
+    FOREIGN KEY (user_phone) REFERENCES users(phone_number)
+  )`);
+
+  // Full-text index of the customer list search (FTS5, kept in sync by the triggers below):
+  // one row per request (rowid = request id) and one per customer (rowid = -user id,
+  // for customers without requests). Phones are indexed as 212... and 0...
+  db.run(`CREATE VIRTUAL TABLE IF NOT EXISTS customer_search USING fts5(
+    user_phone UNINDEXED, phone, name, brand, model, issue, issue_detail,
+    tokenize = 'unicode61 remove_diacritics 2', prefix = '2 3'
+  )`);
+  const searchPhone = (phone) => `${phone} || CASE WHEN ${phone} LIKE '212%' THEN ' 0' || substr(${phone}, 4) ELSE '' END`;
+  const searchUserColumns = 'rowid, user_phone, phone, name';
+  const searchUserValues = (user) => `-${user}.id, ${user}.phone_number, ${searchPhone(`${user}.phone_number`)}, ${user}.name`;
+  const searchRequestColumns = 'rowid, user_phone, phone, name, brand, model, issue, issue_detail';
+  const searchRequestValues = (request) => `${request}.id, ${request}.user_phone, ${searchPhone(`${request}.user_phone`)},
+    (SELECT name FROM users WHERE phone_number = ${request}.user_phone),
+    ${request}.brand, ${request}.model, ${request}.issue, ${request}.issue_detail`;
+
+  db.run(`CREATE TRIGGER IF NOT EXISTS users_search_insert AFTER INSERT ON users BEGIN
+    INSERT INTO customer_search (${searchUserColumns}) VALUES (${searchUserValues('new')});
+  END`);
+  db.run(`CREATE TRIGGER IF NOT EXISTS users_search_update AFTER UPDATE OF name ON users
+    WHEN old.name IS NOT new.name BEGIN
+    UPDATE customer_search SET name = new.name
+    WHERE rowid = -new.id OR rowid IN (SELECT id FROM requests WHERE user_phone = new.phone_number);
+  END`);
+  db.run(`CREATE TRIGGER IF NOT EXISTS users_search_delete AFTER DELETE ON users BEGIN
+    DELETE FROM customer_search WHERE rowid = -old.id;
+  END`);
+  db.run(`CREATE TRIGGER IF NOT EXISTS requests_search_insert AFTER INSERT ON requests BEGIN
+    INSERT INTO customer_search (${searchRequestColumns}) VALUES (${searchRequestValues('new')});
+  END`);
+  db.run(`CREATE TRIGGER IF NOT EXISTS requests_search_update AFTER UPDATE OF brand, model, issue, issue_detail ON requests
+    WHEN old.brand IS NOT new.brand OR old.model IS NOT new.model
+      OR old.issue IS NOT new.issue OR old.issue_detail IS NOT new.issue_detail BEGIN
+    UPDATE customer_search SET brand = new.brand, model = new.model, issue = new.issue, issue_detail = new.issue_detail
+    WHERE rowid = new.id;
+  END`);
+  db.run(`CREATE TRIGGER IF NOT EXISTS requests_search_delete AFTER DELETE ON requests BEGIN
+    DELETE FROM customer_search WHERE rowid = old.id;
+  END`);
+
+  // Index the customers and requests saved before the index existed
+  db.run(`INSERT INTO customer_search (${searchUserColumns})
+          SELECT ${searchUserValues('users')} FROM users
+          WHERE NOT EXISTS (SELECT 1 FROM customer_search WHERE rowid = -users.id)`);
+  db.run(`INSERT INTO customer_search (${searchRequestColumns})
+          SELECT ${searchRequestValues('requests')} FROM requests
+          WHERE NOT EXISTS (SELECT 1 FROM customer_search WHERE rowid = requests.id)`);
+
+  // Copy the user_data rows of older versions into requests (once per user)
+  db.run(`INSERT INTO requests (user_phone, intent, brand, model, budget, condition, issue, issue_detail, photo, location,
+            product, appointment, normalized, status, quote_low, quote_high, quote_status, created_at, updated_at, completed_at)
+          SELECT user_phone, intent, brand, model, budget, condition, issue, issue_detail, photo, location,
+            product, appointment, normalized, status, quote_low, quote_high, quote_status, created_at, updated_at, updated_at
+          FROM user_data
+          WHERE user_phone NOT IN (SELECT user_phone FROM requests)`);
+  ['quotes', 'appointments', 'reservations', 'status_changes'].forEach(table => {
+    db.run(`UPDATE ${table} SET request_id = (
+              SELECT MIN(r.id) FROM requests r WHERE r.user_phone = ${table}.user_phone
+            ) WHERE request_id IS NULL`);
+  });
+
+  log('✅ Database tables created');
 });
 
+// Live updates for the admin panel, streamed by /admin/events
+//   message -> a conversations row was saved
+//   mode    -> a conversation switched between the bot and an agent
+//   user    -> a new customer wrote for the first time, or a customer's tags changed
+//   request -> the answers or the quote of a request changed
+//   status  -> a repair ticket moved
+//   stats   -> new dashboard counters (getStats)
+const LIVE_EVENT_TYPES = ['message', 'mode', 'user', 'request', 'status', 'stats'];
+const liveEvents = new EventEmitter();
+liveEvents.setMaxListeners(0); // one listener per open admin page
+
+// Counters change with every message, user and request: recount at most once
+// per STATS_UPDATE_DELAY_MS, and only while an admin page is listening
+const STATS_UPDATE_DELAY_MS = 1000;
+let statsUpdateTimer = null;
+
+function scheduleStatsUpdate() {
+  if (statsUpdateTimer || liveEvents.listenerCount('stats') === 0) return;
+  statsUpdateTimer = setTimeout(async () => {
+    statsUpdateTimer = null;
+    try {
+      liveEvents.emit('stats', await dbHelpers.getStats());
+    } catch (error) {
+      console.error('❌ Stats update error:', error);
+    }
+  }, STATS_UPDATE_DELAY_MS);
+}
+['message', 'user', 'request'].forEach(type => liveEvents.on(type, scheduleStatsUpdate));
+
+// Form fields a flow step can "store" into (requests columns)
+const USER_DATA_FIELDS = ['intent', 'brand', 'model', 'budget', 'condition', 'issue', 'issue_detail', 'photo', 'location', 'product', 'appointment'];
+const INTENTS = ['buy', 'sell', 'repair'];
+
+// Customer list (dashboard and /api/users): columns it can be sorted by. A
+// customer is sorted by their matching requests (latest date, highest budget...),
+// or by how well they match the search (bm25 rank of their best customer_search row)
+const USER_SORT_COLUMNS = {
+  relevance: '-(SELECT MIN(rank) FROM matches m WHERE m.user_phone = u.phone_number)',
+  phone: 'u.phone_number',
+  locale: 'u.locale',
+  request: 'MAX(r.id)',
+  intent: 'MAX(r.intent)',
+  brand: 'MAX(r.brand)',
+  budget: "MAX(CAST(json_extract(r.normalized, '$.budget') AS REAL))",
+  condition: 'MAX(r.condition)',
+  quote: 'MAX(r.quote_low)',
+  issue: 'MAX(r.issue)',
+  date: 'MAX(r.created_at)',
+  last_interaction: 'u.last_interaction'
+};
+const DEFAULT_PAGE_SIZE = 25;
+const MAX_PAGE_SIZE = 100;
+
+// Search text -> FTS5 query: every word must start a word of the customer or the
+// request ("ecra sams" finds "Écran" on a "Samsung"), null when there is no word
+function customerSearchQuery(text) {
+  const words = text.match(/[\p{L}\p{N}]+/gu);
+  return words ? words.map(word => `"${word}"*`).join(' ') : null;
+}
+
+// Customer list filters over users u LEFT JOIN requests r: { with, conditions, params }.
+// "with" (the search matches, used by the 'relevance' sort) goes before the SELECT.
+// A customer matches when one of their requests does (or, for the search alone,
+// their phone number or name when they have no request).
+function userFilterConditions(filters) {
+  const conditions = [];
+  const params = [];
+  let withClause = '';
+  if (filters.q) {
+    const query = customerSearchQuery(filters.q);
+    if (query) {
+      withClause = `WITH matches AS MATERIALIZED (
+        SELECT rowid, user_phone, rank FROM customer_search WHERE customer_search MATCH ?
+      )`;
+      params.push(query);
+      conditions.push(`(r.id IN (SELECT rowid FROM matches WHERE rowid > 0)
+        OR (r.id IS NULL AND u.phone_number IN (SELECT user_phone FROM matches WHERE rowid < 0)))`);
+    } else {
+      conditions.push('0');
+    }
+  }
+  if (filters.phone) {
+    conditions.push('u.phone_number = ?');
+    params.push(filters.phone);
+  }
+  if (filters.intent) {
+    conditions.push('r.intent = ?');
+    params.push(filters.intent);
+  }
+  if (filters.status) {
+    conditions.push('r.status = ?');
+    params.push(filters.status);
+  }
+  if (filters.from) {
+    conditions.push(`date(r.created_at, 'localtime') >= ?`);
+    params.push(filters.from);
+  }
+  if (filters.to) {
+    conditions.push(`date(r.created_at, 'localtime') <= ?`);
+    params.push(filters.to);
+  }
+  return { with: withClause, conditions, params };
+}
+
+// Add to each user their requests matching the filters (newest first) and their tags
+async function withRequestsAndTags(users, filter) {
+  if (users.length === 0) return users;
+
+  const phones = users.map(user => user.phone_number);
+  const placeholders = phones.map(() => '?').join(', ');
+  const requests = await queryAll(
+    `${filter.with}
+     SELECT r.* FROM users u JOIN requests r ON r.user_phone = u.phone_number
+     WHERE ${[...filter.conditions, `u.phone_number IN (${placeholders})`].join(' AND ')}
+     ORDER BY r.id DESC`,
+    [...filter.params, ...phones]
+  );
+  const tags = await queryAll(
+    `SELECT user_phone, tag FROM customer_tags WHERE user_phone IN (${placeholders}) ORDER BY tag`,
+    phones
+  );
+  return users.map(user => ({
+    ...user,
+    requests: requests.filter(request => request.user_phone === user.phone_number),
+    tags: tags.filter(tag => tag.user_phone === user.phone_number).map(tag => tag.tag)
+  }));
+}
+
+// Promise versions of db.all / db.get, for helpers that chain several queries
+function queryAll(sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.all(sql, params, (err, rows) => {
+      if (err) reject(err);
+      else resolve(rows);
+    });
+  });
+}
+
+function queryGet(sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.get(sql, params, (err, row) => {
+      if (err) reject(err);
+      else resolve(row);
+    });
+  });
+}
+
+// Run [sql, params] statements one after the other in a single transaction,
+// rolled back as soon as one of them fails
+function runInTransaction(statements) {
+  return new Promise((resolve, reject) => {
+    const rollback = (error) => db.run('ROLLBACK', () => reject(error));
+    const next = (index) => {
+      if (index === statements.length) {
+        db.run('COMMIT', (err) => {
+          if (err) rollback(err);
+          else resolve();
+        });
+        return;
+      }
+      const [sql, params] = statements[index];
+      db.run(sql, params, (err) => {
+        if (err) rollback(err);
+        else next(index + 1);
+      });
+    };
+    db.run('BEGIN', (err) => {
+      if (err) reject(err);
+      else next(0);
+    });
+  });
+}
+
+// Quotes of older versions were numbered per customer (UNIQUE (user_phone, version)),
+// across all their requests: rebuild the table with the per-request constraint and
+// renumber each request's quotes from v1. Run at startup, before the server listens.
+async function migrateQuotesPerRequest() {
+  const table = await queryGet(`SELECT sql FROM sqlite_master WHERE type = 'table' AND name = 'quotes'`);
+  if (!table || !/UNIQUE \(user_phone, version\)/.test(table.sql)) return false;
+  await runInTransaction([
+    [quotesTable('quotes_per_request'), []],
+    [`INSERT INTO quotes_per_request (id, user_phone, request_id, version, kind, low, high, details, status, created_by, created_at)
+      SELECT id, user_phone, request_id, ROW_NUMBER() OVER (PARTITION BY request_id ORDER BY version),
+        kind, low, high, details, status, created_by, created_at
+      FROM quotes`, []],
+    ['DROP TABLE quotes', []],
+    ['ALTER TABLE quotes_per_request RENAME TO quotes', []]
+  ]);
+  return true;
+}
+
 // Database helper functions
 const dbHelpers = {
   // Save or update user
   saveUser: (phoneNumber, name = null) => {
     return new Promise((resolve, reject) => {
       db.run(
-        `INSERT INTO users (phone_number, name, last_interaction) 
-         VALUES (?, ?, CURRENT_TIMESTAMP)
-         ON CONFLICT(phone_number) 
-         DO UPDATE SET last_interaction = CURRENT_TIMESTAMP`,
+        `INSERT OR IGNORE INTO users (phone_number, name) VALUES (?, ?)`,
         [phoneNumber, name],
         function(err) {
+          if (err) {
+            reject(err);
+            return;
+          }
+          const created = this.changes === 1;
+          db.run(
+            `UPDATE users SET last_interaction = CURRENT_TIMESTAMP WHERE phone_number = ?`,
+            [phoneNumber],
+            (err) => {
+              if (err) {
+                reject(err);
+                return;
+              }
+              if (created) liveEvents.emit('user', { phone_number: phoneNumber, created: true });
+              resolve(created);
+            }
+          );
+        }
+      );
+    });
+  },
+
+  // One user (without their requests), undefined when unknown
+  getUser: (phoneNumber) => {
+    return new Promise((resolve, reject) => {
+      db.get(
+        `SELECT phone_number, name, created_at, last_interaction, locale FROM users WHERE phone_number = ?`,
+        [phoneNumber],
+        (err, row) => {
           if (err) reject(err);
-          else resolve(this.lastID);
+          else resolve(row);
+        }
+      );
+    });
+  },
+
+  // Get the locale stored for a user (null if none yet)
+  getUserLocale: (phoneNumber) => {
+    return new Promise((resolve, reject) => {
+      db.get(
+        `SELECT locale FROM users WHERE phone_number = ?`,
+        [phoneNumber],
+        (err, row) => {
+          if (err) reject(err);
+          else resolve(row ? row.locale : null);
         }
       );
     });
   },
 
-  // Save conversation message
-  saveMessage: (userPhone, messageType, messageText, stepId) => {
+  // Save the locale of a user
+  setUserLocale: (phoneNumber, locale) => {
     return new Promise((resolve, reject) => {
       db.run(
-        `INSERT INTO conversations (user_phone, message_type, message_text, step_id) 
-         VALUES (?, ?, ?, ?)`,
-        [userPhone, messageType, messageText, stepId],
+        `UPDATE users SET locale = ? WHERE phone_number = ?`,
+        [locale, phoneNumber],
         function(err) {
           if (err) reject(err);
-          else resolve(this.lastID);
+          else resolve(this.changes);
         }
       );
     });
   },
 
-  // Save or update user data
-  saveUserData: (userPhone, data) => {
+  // Save conversation message ('incoming', 'outgoing' from the bot or 'agent' from sentBy)
+  saveMessage: (userPhone, messageType, messageText, stepId, media = null, sentBy = null) => {
+    const message = {
+      user_phone: userPhone,
+      message_type: messageType,
+      message_text: messageText,
+      step_id: stepId,
+      media_type: media ? media.type : null,
+      media_ref: media ? media.ref : null,
+      sent_by: sentBy
+    };
     return new Promise((resolve, reject) => {
-      // First, check if user data exists
-      db.get(
-        `SELECT id FROM user_data WHERE user_phone = ?`,
-        [userPhone],
-        (err, row) => {
+      db.run(
+        `INSERT INTO conversations (user_phone, message_type, message_text, step_id, media_type, media_ref, sent_by) 
+         VALUES (?, ?, ?, ?, ?, ?, ?)`,
+        [userPhone, messageType, messageText, stepId, message.media_type, message.media_ref, sentBy],
+        function(err) {
           if (err) {
             reject(err);
             return;
           }
+          liveEvents.emit('message', { id: this.lastID, ...message, created_at: new Date().toISOString() });
+          resolve(this.lastID);
+        }
+      );
+    });
+  },
 
-          if (row) {
-            // Update existing record
-            db.run(
-              `UPDATE user_data SET 
-                intent = COALESCE(?, intent),
-                brand = COALESCE(?, brand),
-                budget = COALESCE(?, budget),
-                condition = COALESCE(?, condition),
-                issue = COALESCE(?, issue),
-                issue_detail = COALESCE(?, issue_detail),
-                updated_at = CURRENT_TIMESTAMP
-               WHERE user_phone = ?`,
-              [data.intent, data.brand, data.budget, data.condition, data.issue, data.issue_detail, userPhone],
-              function(err) {
-                if (err) reject(err);
-                else resolve(row.id);
-              }
-            );
-          } else {
-            // Insert new record
-            db.run(
-              `INSERT INTO user_data (user_phone, intent, brand, budget, condition, issue, issue_detail, updated_at)
-               VALUES (?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)`,
-              [userPhone, data.intent, data.brand, data.budget, data.condition, data.issue, data.issue_detail],
-              function(err) {
-                if (err) reject(err);
-                else resolve(this.lastID);
-              }
-            );
-          }
+  // Chat mode of a user: { chat_mode: 'bot' | 'human', assigned_agent }
+  getChatMode: (phoneNumber) => {
+    return new Promise((resolve, reject) => {
+      db.get(
+        `SELECT chat_mode, assigned_agent FROM users WHERE phone_number = ?`,
+        [phoneNumber],
+        (err, row) => {
+          if (err) reject(err);
+          else resolve(row || { chat_mode: 'bot', assigned_agent: null });
         }
       );
     });
   },
 
-  // Get all users with their latest data
-  getAllUsers: () => {
+  // Hand a conversation to the bot or to an agent
+  setChatMode: (phoneNumber, mode, agentUsername = null) => {
     return new Promise((resolve, reject) => {
-      db.all(
-        `SELECT 
-          u.phone_number,
-          u.name,
-          u.created_at,
-          u.last_interaction,
-          ud.intent,
-          ud.brand,
-          ud.budget,
-          ud.condition,
-          ud.issue,
-          ud.issue_detail,
-          ud.status,
-          ud.created_at as request_date
-         FROM users u
-         LEFT JOIN user_data ud ON u.phone_number = ud.user_phone
-         ORDER BY u.last_interaction DESC`,
-        [],
-        (err, rows) => {
+      db.run(
+        `UPDATE users SET chat_mode = ?, assigned_agent = ? WHERE phone_number = ?`,
+        [mode, agentUsername, phoneNumber],
+        function(err) {
           if (err) reject(err);
-          else resolve(rows);
+          else resolve(this.changes);
         }
       );
     });
   },
 
-  // Get conversation history for a user
-  getUserConversation: (userPhone) => {
+  // Conversations of the inbox: every conversation owned by an agent, then the ones
+  // active in the last hours (newest first), with their last message
+  getInboxConversations: (recentHours) => {
     return new Promise((resolve, reject) => {
       db.all(
-        `SELECT * FROM conversations 
-         WHERE user_phone = ? 
-         ORDER BY created_at ASC`,
-        [userPhone],
+        `SELECT u.phone_number, u.locale, u.chat_mode, u.assigned_agent, u.last_interaction,
+           c.message_type as last_message_type, c.message_text as last_message_text, c.media_type as last_media_type
+         FROM users u
+         LEFT JOIN conversations c ON c.id = (SELECT MAX(id) FROM conversations WHERE user_phone = u.phone_number)
+         WHERE u.chat_mode = 'human' OR u.last_interaction >= datetime('now', ?)
+         ORDER BY u.chat_mode = 'human' DESC, u.last_interaction DESC`,
+        [`-${recentHours} hours`],
         (err, rows) => {
           if (err) reject(err);
           else resolve(rows);
@@ -202,553 +799,6354 @@ const dbHelpers = {
     });
   },
 
-  // Get statistics
-  getStats: () => {
+  // Save the answers of a flow run: creates its request when id is null,
+  // resolves with the request id
+  saveRequest: (id, userPhone, data) => {
+    const normalized = data.normalized ? JSON.stringify(data.normalized) : null;
+    const values = [data.intent, data.brand, data.model, data.budget, data.condition, data.issue, data.issue_detail, data.photo, data.location, data.product, data.appointment, normalized]
+      .map(value => value ?? null);
     return new Promise((resolve, reject) => {
-      db.get(
-        `SELECT 
-          COUNT(DISTINCT phone_number) as total_users,
-          (SELECT COUNT(*) FROM user_data WHERE intent = 'buy') as buy_requests,
-          (SELECT COUNT(*) FROM user_data WHERE intent = 'sell') as sell_requests,
-          (SELECT COUNT(*) FROM user_data WHERE intent = 'repair') as repair_requests,
-          (SELECT COUNT(*) FROM conversations) as total_messages
-         FROM users`,
-        [],
-        (err, row) => {
+      if (id) {
+        db.run(
+          `UPDATE requests SET
+            intent = ?,
+            brand = ?,
+            model = ?,
+            budget = ?,
+            condition = ?,
+            issue = ?,
+            issue_detail = ?,
+            photo = ?,
+            location = ?,
+            product = ?,
+            appointment = ?,
+            normalized = ?,
+            updated_at = CURRENT_TIMESTAMP
+           WHERE id = ?`,
+          [...values, id],
+          (err) => {
+            if (err) {
+              reject(err);
+              return;
+            }
+            liveEvents.emit('request', { id, user_phone: userPhone });
+            resolve(id);
+          }
+        );
+      } else {
+        db.run(
+          `INSERT INTO requests (user_phone, intent, brand, model, budget, condition, issue, issue_detail, photo, location, product, appointment, normalized)
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+          [userPhone, ...values],
+          function(err) {
+            if (err) {
+              reject(err);
+              return;
+            }
+            liveEvents.emit('request', { id: this.lastID, user_phone: userPhone });
+            resolve(this.lastID);
+          }
+        );
+      }
+    });
+  },
+
+  // Mark a request as complete (the customer reached the end of the flow)
+  completeRequest: (id) => {
+    return new Promise((resolve, reject) => {
+      db.run(
+        `UPDATE requests SET completed_at = COALESCE(completed_at, CURRENT_TIMESTAMP) WHERE id = ?`,
+        [id],
+        function(err) {
           if (err) reject(err);
-          else resolve(row);
+          else resolve(this.changes);
         }
       );
     });
-  }
-};
-
-// ==========================================
-// CONVERSATION FLOW
-// ==========================================
+  },
 
-const flow = {
-  flow_name: "smartfix_phone_shop",
-  steps: [
-    {
-      id: "welcome",
-      type: "button",
-      text: "👋 Bonjour ! Bienvenue chez SmartFix Mobile 📱\nComment pouvons-nous vous aider ?",
-      buttons: [
-        { id: "buy", title: "🛒 Acheter" },
-        { id: "sell", title: "💰 Vendre" },
-        { id: "repair", title: "🔧 Réparer" }
-      ],
-      next: {
-        buy: "ask_brand_buy",
-        sell: "ask_brand_sell",
-        repair: "ask_brand_repair"
-      }
-    },
-    {
-      id: "ask_brand_buy",
-      type: "input",
-      text: "Super 🛍️ Quelle marque cherchez-vous ?\n(Ex: iPhone, Samsung, Xiaomi...)",
-      store: "brand",
-      intent: "buy",
-      next: "ask_budget"
-    },
-    {
-      id: "ask_budget",
-      type: "input",
-      text: "Quel est votre budget approximatif ?\n(Ex: 3000 MAD, 5000 MAD...)",
-      store: "budget",
-      next: "confirm_buy"
-    },
-    {
-      id: "confirm_buy",
-      type: "message",
-      text: "Merci ! ✅ Nous allons chercher des options pour un {{brand}} à environ {{budget}} 💸\n\nUn conseiller vous contactera sous peu !",
-      next: "end"
-    },
-    {
-      id: "ask_brand_sell",
-      type: "input",
-      text: "Quelle est la marque et le modèle de votre téléphone ?\n(Ex: iPhone 13, Samsung Galaxy S21...)",
-      store: "brand",
-      intent: "sell",
-      next: "ask_condition"
-    },
-    {
-      id: "ask_condition",
-      type: "button",
-      text: "Quel est son état ?",
-      buttons: [
-        { id: "neuf", title: "✨ Neuf" },
-        { id: "bon", title: "👍 Bon état" },
-        { id: "casse", title: "🔨 Cassé" }
-      ],
-      store: "condition",
-      next: {
-        neuf: "confirm_sell",
-        bon: "confirm_sell",
-        casse: "confirm_sell"
-      }
-    },
-    {
-      id: "confirm_sell",
-      type: "message",
-      text: "Merci 🙏 Nous vous contacterons pour estimer votre {{brand}} en état {{condition}}.\n\nNous vous ferons une offre rapidement !",
-      next: "end"
-    },
-    {
-      id: "ask_brand_repair",
-      type: "input",
-      text: "Quel est le modèle de votre téléphone à réparer ?\n(Ex: iPhone 12, Huawei P30...)",
-      store: "brand",
-      intent: "repair",
-      next: "ask_issue"
-    },
-    {
-      id: "ask_issue",
-      type: "button",
-      text: "Quel est le problème rencontré ?",
-      buttons: [
-        { id: "ecran", title: "📱 Écran cassé" },
-        { id: "batterie", title: "🔋 Batterie" },
-        { id: "autre", title: "🔧 Autre" }
-      ],
-      store: "issue",
-      next: {
-        ecran: "confirm_repair",
-        batterie: "confirm_repair",
-        autre: "ask_issue_detail"
-      }
-    },
-    {
-      id: "ask_issue_detail",
-      type: "input",
-      text: "Décrivez le problème en détail :",
-      store: "issue_detail",
-      next: "confirm_repair"
-    },
-    {
-      id: "confirm_repair",
-      type: "message",
-      text: "Merci 🔧 Nous vous enverrons un devis pour la réparation de votre {{brand}}.\n\nProblème : {{issue}} {{issue_detail}}\n\nRéponse dans les 24h !",
-      next: "end"
-    },
-    {
-      id: "end",
-      type: "end",
-      text: "Merci pour votre visite 👋\nNous restons à votre disposition sur WhatsApp !\n\n💬 Tapez 'menu' pour recommencer"
-    }
-  ]
-};
+  // Correct some answers of a request (staff edits from the conversation page)
+  updateRequestFields: (id, userPhone, fields) => {
+    const columns = Object.keys(fields);
+    return new Promise((resolve, reject) => {
+      db.run(
+        `UPDATE requests SET ${columns.map(column => `${column} = ?`).join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+        [...columns.map(column => fields[column]), id],
+        function(err) {
+          if (err) {
+            reject(err);
+            return;
+          }
+          liveEvents.emit('request', { id, user_phone: userPhone });
+          resolve(this.changes);
+        }
+      );
+    });
+  },
+
+  // Claim a WhatsApp message id, resolves false if it was already processed
+  claimMessage: (messageId, userPhone) => {
+    return new Promise((resolve, reject) => {
+      db.run(
+        `INSERT OR IGNORE INTO processed_messages (message_id, user_phone) VALUES (?, ?)`,
+        [messageId, userPhone],
+        function(err) {
+          if (err) reject(err);
+          else resolve(this.changes === 1);
+        }
+      );
+    });
+  },
+
+  // Release a claimed message id so a re-delivery can process it again
+  releaseMessage: (messageId) => {
+    return new Promise((resolve, reject) => {
+      db.run(
+        `DELETE FROM processed_messages WHERE message_id = ?`,
+        [messageId],
+        (err) => {
+          if (err) reject(err);
+          else resolve();
+        }
+      );
+    });
+  },
+
+  // Add an incoming message to the job queue
+  enqueueJob: (userPhone, messageId, payload) => {
+    return new Promise((resolve, reject) => {
+      db.run(
+        `INSERT INTO jobs (user_phone, message_id, payload, next_attempt_at) VALUES (?, ?, ?, ?)`,
+        [userPhone, messageId, JSON.stringify(payload), new Date().toISOString()],
+        function(err) {
+          if (err) reject(err);
+          else resolve(this.lastID);
+        }
+      );
+    });
+  },
+
+  // Due jobs, at most one per user (the oldest) so each user's messages stay in order.
+  // A 'processing' job whose lease expired (next_attempt_at) was left behind by a failure.
+  getDueJobs: (limit) => {
+    return new Promise((resolve, reject) => {
+      db.all(
+        `SELECT * FROM jobs j
+         WHERE j.status IN ('pending', 'processing')
+           AND j.next_attempt_at <= ?
+           AND NOT EXISTS (
+             SELECT 1 FROM jobs older
+             WHERE older.user_phone = j.user_phone AND older.id < j.id
+           )
+         ORDER BY j.id
+         LIMIT ?`,
+        [new Date().toISOString(), limit],
+        (err, rows) => {
+          if (err) reject(err);
+          else resolve(rows);
+        }
+      );
+    });
+  },
+
+  // Update some columns of a job
+  updateJob: (id, fields) => {
+    const columns = Object.keys(fields);
+    return new Promise((resolve, reject) => {
+      db.run(
+        `UPDATE jobs SET ${columns.map(column => `${column} = ?`).join(', ')} WHERE id = ?`,
+        [...columns.map(column => fields[column]), id],
+        (err) => {
+          if (err) reject(err);
+          else resolve();
+        }
+      );
+    });
+  },
+
+  // Remove a finished job
+  deleteJob: (id) => {
+    return new Promise((resolve, reject) => {
+      db.run(
+        `DELETE FROM jobs WHERE id = ?`,
+        [id],
+        (err) => {
+          if (err) reject(err);
+          else resolve();
+        }
+      );
+    });
+  },
+
+  // Move a job that failed too many times to the dead-letter table
+  moveJobToDeadLetters: (job, lastError, attempts) => {
+    return runInTransaction([
+      [`INSERT INTO dead_letters (user_phone, message_id, payload, response, attempts, last_error)
+        VALUES (?, ?, ?, ?, ?, ?)`,
+        [job.user_phone, job.message_id, job.payload, job.response, attempts, lastError]],
+      [`DELETE FROM jobs WHERE id = ?`, [job.id]]
+    ]);
+  },
+
+  // Jobs left "processing" by a crash go back to the queue
+  resetProcessingJobs: () => {
+    return new Promise((resolve, reject) => {
+      db.run(
+        `UPDATE jobs SET status = 'pending' WHERE status = 'processing'`,
+        [],
+        function(err) {
+          if (err) reject(err);
+          else resolve(this.changes);
+        }
+      );
+    });
+  },
+
+  // Jobs waiting in the queue and dead letters
+  getQueueStats: () => {
+    return new Promise((resolve, reject) => {
+      db.get(
+        `SELECT
+          (SELECT COUNT(*) FROM jobs) as pending_jobs,
+          (SELECT COUNT(*) FROM dead_letters) as dead_letters`,
+        [],
+        (err, row) => {
+          if (err) reject(err);
+          else resolve(row);
+        }
+      );
+    });
+  },
+
+  // List dead letters (newest first)
+  getDeadLetters: () => {
+    return new Promise((resolve, reject) => {
+      db.all(
+        `SELECT * FROM dead_letters ORDER BY created_at DESC`,
+        [],
+        (err, rows) => {
+          if (err) reject(err);
+          else resolve(rows);
+        }
+      );
+    });
+  },
+
+  // Put a dead letter back in the queue (keeps the bot answer if there was one)
+  requeueDeadLetter: async (id) => {
+    const row = await queryGet(`SELECT * FROM dead_letters WHERE id = ?`, [id]);
+    if (!row) return false;
+    await runInTransaction([
+      [`INSERT INTO jobs (user_phone, message_id, payload, response, next_attempt_at)
+        VALUES (?, ?, ?, ?, ?)`,
+        [row.user_phone, row.message_id, row.payload, row.response, new Date().toISOString()]],
+      [`DELETE FROM dead_letters WHERE id = ?`, [id]]
+    ]);
+    return true;
+  },
+
+  // Delete a dead letter
+  deleteDeadLetter: (id) => {
+    return new Promise((resolve, reject) => {
+      db.run(
+        `DELETE FROM dead_letters WHERE id = ?`,
+        [id],
+        (err) => {
+          if (err) reject(err);
+          else resolve();
+        }
+      );
+    });
+  },
+
+  // One page of the customer list (filters from readUserFilters):
+  // { users, total }, each user with their matching requests (newest first) and tags
+  getUsers: async (filters) => {
+    const { with: withClause, conditions, params } = userFilterConditions(filters);
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    const sortable = filters.sort !== 'relevance' || withClause;
+    const sort = (sortable && USER_SORT_COLUMNS[filters.sort]) || USER_SORT_COLUMNS.last_interaction;
+    const order = filters.order === 'asc' ? 'ASC' : 'DESC';
+    const offset = (filters.page - 1) * filters.perPage;
+
+    const { total } = await queryGet(
+      `${withClause}
+       SELECT COUNT(DISTINCT u.phone_number) as total
+       FROM users u LEFT JOIN requests r ON r.user_phone = u.phone_number
+       ${where}`,
+      params
+    );
+    const users = await queryAll(
+      `${withClause}
+       SELECT u.phone_number, u.name, u.created_at, u.last_interaction, u.locale
+       FROM users u LEFT JOIN requests r ON r.user_phone = u.phone_number
+       ${where}
+       GROUP BY u.phone_number
+       ORDER BY ${sort} ${order} NULLS LAST, u.last_interaction DESC, u.phone_number
+       LIMIT ? OFFSET ?`,
+      [...params, filters.perPage, offset]
+    );
+    return { users: await withRequestsAndTags(users, { with: withClause, conditions, params }), total };
+  },
+
+  // Customers matching the list filters after the user id `afterId`, by id (one batch
+  // of an export: rows written meanwhile do not shift the next batches)
+  getUserBatch: async (filters, afterId, limit) => {
+    const filter = userFilterConditions(filters);
+    const users = await queryAll(
+      `${filter.with}
+       SELECT u.id, u.phone_number, u.name, u.created_at, u.last_interaction, u.locale
+       FROM users u LEFT JOIN requests r ON r.user_phone = u.phone_number
+       WHERE ${[...filter.conditions, 'u.id > ?'].join(' AND ')}
+       GROUP BY u.phone_number
+       ORDER BY u.id
+       LIMIT ?`,
+      [...filter.params, afterId, limit]
+    );
+    return withRequestsAndTags(users, filter);
+  },
+
+  // Messages of the customers matching the list filters, by customer then time,
+  // after the message `after` ({ user_phone, id }): one batch of an export
+  getConversationBatch: (filters, after, limit) => {
+    const { with: withClause, conditions, params } = userFilterConditions(filters);
+    return queryAll(
+      `${withClause}
+       SELECT c.* FROM conversations c
+       WHERE c.user_phone IN (
+         SELECT u.phone_number FROM users u LEFT JOIN requests r ON r.user_phone = u.phone_number
+         ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+       )
+       AND (c.user_phone, c.id) > (?, ?)
+       ORDER BY c.user_phone, c.id
+       LIMIT ?`,
+      [...params, after.user_phone, after.id, limit]
+    );
+  },
+
+  // Tags of a customer (alphabetical)
+  getTags: (userPhone) => {
+    return new Promise((resolve, reject) => {
+      db.all(
+        `SELECT tag FROM customer_tags WHERE user_phone = ? ORDER BY tag`,
+        [userPhone],
+        (err, rows) => {
+          if (err) reject(err);
+          else resolve(rows.map(row => row.tag));
+        }
+      );
+    });
+  },
+
+  // Tag a customer (no-op if already tagged)
+  addTag: (userPhone, tag) => {
+    return new Promise((resolve, reject) => {
+      db.run(
+        `INSERT OR IGNORE INTO customer_tags (user_phone, tag) VALUES (?, ?)`,
+        [userPhone, tag],
+        function(err) {
+          if (err) {
+            reject(err);
+            return;
+          }
+          liveEvents.emit('user', { phone_number: userPhone, created: false });
+          resolve(this.changes);
+        }
+      );
+    });
+  },
+
+  removeTag: (userPhone, tag) => {
+    return new Promise((resolve, reject) => {
+      db.run(
+        `DELETE FROM customer_tags WHERE user_phone = ? AND tag = ?`,
+        [userPhone, tag],
+        function(err) {
+          if (err) {
+            reject(err);
+            return;
+          }
+          liveEvents.emit('user', { phone_number: userPhone, created: false });
+          resolve(this.changes);
+        }
+      );
+    });
+  },
+
+  // Staff notes on a customer (newest first)
+  getNotes: (userPhone) => {
+    return new Promise((resolve, reject) => {
+      db.all(
+        `SELECT * FROM customer_notes WHERE user_phone = ? ORDER BY created_at DESC, id DESC`,
+        [userPhone],
+        (err, rows) => {
+          if (err) reject(err);
+          else resolve(rows);
+        }
+      );
+    });
+  },
+
+  addNote: (userPhone, text, createdBy) => {
+    return new Promise((resolve, reject) => {
+      db.run(
+        `INSERT INTO customer_notes (user_phone, text, created_by) VALUES (?, ?, ?)`,
+        [userPhone, text, createdBy],
+        function(err) {
+          if (err) reject(err);
+          else resolve(this.lastID);
+        }
+      );
+    });
+  },
+
+  deleteNote: (id, userPhone) => {
+    return new Promise((resolve, reject) => {
+      db.run(
+        `DELETE FROM customer_notes WHERE id = ? AND user_phone = ?`,
+        [id, userPhone],
+        function(err) {
+          if (err) reject(err);
+          else resolve(this.changes);
+        }
+      );
+    });
+  },
+
+  // Get conversation history for a user
+  getUserConversation: (userPhone) => {
+    return new Promise((resolve, reject) => {
+      db.all(
+        `SELECT * FROM conversations 
+         WHERE user_phone = ? 
+         ORDER BY created_at ASC`,
+        [userPhone],
+        (err, rows) => {
+          if (err) reject(err);
+          else resolve(rows);
+        }
+      );
+    });
+  },
+
+  // Save a new version of a flow, resolves with its version number
+  saveFlowVersion: (flowName, definition) => {
+    return new Promise((resolve, reject) => {
+      db.run(
+        `INSERT INTO flow_versions (flow_name, version, definition)
+         VALUES (?, (SELECT COALESCE(MAX(version), 0) + 1 FROM flow_versions WHERE flow_name = ?), ?)`,
+        [flowName, flowName, JSON.stringify(definition)],
+        function(err) {
+          if (err) {
+            reject(err);
+            return;
+          }
+          db.get(
+            `SELECT version FROM flow_versions WHERE id = ?`,
+            [this.lastID],
+            (err, row) => {
+              if (err) reject(err);
+              else resolve(row.version);
+            }
+          );
+        }
+      );
+    });
+  },
+
+  // Get one version of a flow (latest when version is null)
+  getFlowVersion: (flowName, version = null) => {
+    return new Promise((resolve, reject) => {
+      db.get(
+        `SELECT version, definition, created_at FROM flow_versions
+         WHERE flow_name = ? AND (? IS NULL OR version = ?)
+         ORDER BY version DESC
+         LIMIT 1`,
+        [flowName, version, version],
+        (err, row) => {
+          if (err) reject(err);
+          else resolve(row ? { ...row, definition: JSON.parse(row.definition) } : null);
+        }
+      );
+    });
+  },
+
+  // List saved versions of a flow (newest first)
+  getFlowVersions: (flowName) => {
+    return new Promise((resolve, reject) => {
+      db.all(
+        `SELECT version, created_at FROM flow_versions
+         WHERE flow_name = ?
+         ORDER BY version DESC`,
+        [flowName],
+        (err, rows) => {
+          if (err) reject(err);
+          else resolve(rows);
+        }
+      );
+    });
+  },
+
+  // Create a staff account
+  createStaffUser: (username, passwordHash, role) => {
+    return new Promise((resolve, reject) => {
+      db.run(
+        `INSERT INTO staff_users (username, password_hash, role) VALUES (?, ?, ?)`,
+        [username, passwordHash, role],
+        function(err) {
+          if (err) reject(err);
+          else resolve(this.lastID);
+        }
+      );
+    });
+  },
+
+  // Get a staff account by username (with its password hash)
+  getStaffUserByUsername: (username) => {
+    return new Promise((resolve, reject) => {
+      db.get(
+        `SELECT * FROM staff_users WHERE username = ?`,
+        [username],
+        (err, row) => {
+          if (err) reject(err);
+          else resolve(row);
+        }
+      );
+    });
+  },
+
+  // List staff accounts (without password hashes)
+  getStaffUsers: () => {
+    return new Promise((resolve, reject) => {
+      db.all(
+        `SELECT id, username, role, created_at FROM staff_users ORDER BY username`,
+        [],
+        (err, rows) => {
+          if (err) reject(err);
+          else resolve(rows);
+        }
+      );
+    });
+  },
+
+  // Open a login session
+  createStaffSession: (tokenHash, staffId, expiresAt) => {
+    return new Promise((resolve, reject) => {
+      db.run(
+        `INSERT INTO staff_sessions (token_hash, staff_id, expires_at) VALUES (?, ?, ?)`,
+        [tokenHash, staffId, expiresAt.toISOString()],
+        (err) => {
+          if (err) reject(err);
+          else resolve();
+        }
+      );
+    });
+  },
+
+  // Get the staff account behind a (non expired) login session
+  getStaffBySession: (tokenHash) => {
+    return new Promise((resolve, reject) => {
+      db.get(
+        `SELECT s.id, s.username, s.role
+         FROM staff_sessions ss
+         JOIN staff_users s ON s.id = ss.staff_id
+         WHERE ss.token_hash = ? AND ss.expires_at > ?`,
+        [tokenHash, new Date().toISOString()],
+        (err, row) => {
+          if (err) reject(err);
+          else resolve(row);
+        }
+      );
+    });
+  },
+
+  // Close a login session
+  deleteStaffSession: (tokenHash) => {
+    return new Promise((resolve, reject) => {
+      db.run(
+        `DELETE FROM staff_sessions WHERE token_hash = ?`,
+        [tokenHash],
+        (err) => {
+          if (err) reject(err);
+          else resolve();
+        }
+      );
+    });
+  },
+
+  // Create an API token
+  createApiToken: (name, tokenHash, role) => {
+    return new Promise((resolve, reject) => {
+      db.run(
+        `INSERT INTO api_tokens (name, token_hash, role) VALUES (?, ?, ?)`,
+        [name, tokenHash, role],
+        function(err) {
+          if (err) reject(err);
+          else resolve(this.lastID);
+        }
+      );
+    });
+  },
+
+  // Get the API token matching a hash, and mark it as used
+  getApiToken: (tokenHash) => {
+    return new Promise((resolve, reject) => {
+      db.get(
+        `SELECT id, name, role FROM api_tokens WHERE token_hash = ?`,
+        [tokenHash],
+        (err, row) => {
+          if (err) {
+            reject(err);
+            return;
+          }
+          if (row) {
+            db.run(`UPDATE api_tokens SET last_used_at = CURRENT_TIMESTAMP WHERE id = ?`, [row.id]);
+          }
+          resolve(row);
+        }
+      );
+    });
+  },
+
+  // List API tokens (without hashes)
+  getApiTokens: () => {
+    return new Promise((resolve, reject) => {
+      db.all(
+        `SELECT id, name, role, created_at, last_used_at FROM api_tokens ORDER BY created_at DESC`,
+        [],
+        (err, rows) => {
+          if (err) reject(err);
+          else resolve(rows);
+        }
+      );
+    });
+  },
+
+  // Revoke an API token
+  deleteApiToken: (id) => {
+    return new Promise((resolve, reject) => {
+      db.run(
+        `DELETE FROM api_tokens WHERE id = ?`,
+        [id],
+        function(err) {
+          if (err) reject(err);
+          else resolve(this.changes);
+        }
+      );
+    });
+  },
+
+  // List the product catalog
+  getProducts: () => {
+    return new Promise((resolve, reject) => {
+      db.all(
+        `SELECT * FROM products ORDER BY brand, model, price`,
+        [],
+        (err, rows) => {
+          if (err) reject(err);
+          else resolve(rows);
+        }
+      );
+    });
+  },
+
+  // Add a product, or update it when product.id is set
+  saveProduct: (product) => {
+    const values = [product.brand, product.model, product.storage, product.condition, product.price, product.stock];
+    return new Promise((resolve, reject) => {
+      if (product.id) {
+        db.run(
+          `UPDATE products SET brand = ?, model = ?, storage = ?, condition = ?, price = ?, stock = ?,
+             updated_at = CURRENT_TIMESTAMP
+           WHERE id = ?`,
+          [...values, product.id],
+          function(err) {
+            if (err) reject(err);
+            else resolve(product.id);
+          }
+        );
+      } else {
+        db.run(
+          `INSERT INTO products (brand, model, storage, condition, price, stock) VALUES (?, ?, ?, ?, ?, ?)`,
+          values,
+          function(err) {
+            if (err) reject(err);
+            else resolve(this.lastID);
+          }
+        );
+      }
+    });
+  },
+
+  // Remove a product from the catalog
+  deleteProduct: (id) => {
+    return new Promise((resolve, reject) => {
+      db.run(
+        `DELETE FROM products WHERE id = ?`,
+        [id],
+        function(err) {
+          if (err) reject(err);
+          else resolve(this.changes);
+        }
+      );
+    });
+  },
+
+  // Phones in stock for a brand (any brand when null), closest to the budget first
+  findProducts: ({ brand = null, maxPrice = null, limit = 10 }) => {
+    return new Promise((resolve, reject) => {
+      db.all(
+        `SELECT * FROM products
+         WHERE stock > 0
+           AND (? IS NULL OR LOWER(brand) = LOWER(?))
+           AND (? IS NULL OR price <= ?)
+         ORDER BY CASE WHEN ? IS NULL THEN price ELSE -price END
+         LIMIT ?`,
+        [brand, brand, maxPrice, maxPrice, maxPrice, limit],
+        (err, rows) => {
+          if (err) reject(err);
+          else resolve(rows);
+        }
+      );
+    });
+  },
+
+  // Reserve one unit of a product, resolves with the product (null when out of stock)
+  reserveProduct: (productId, userPhone, requestId = null) => {
+    return new Promise((resolve, reject) => {
+      db.run(
+        `UPDATE products SET stock = stock - 1, updated_at = CURRENT_TIMESTAMP WHERE id = ? AND stock > 0`,
+        [productId],
+        function(err) {
+          if (err) {
+            reject(err);
+            return;
+          }
+          if (this.changes === 0) {
+            resolve(null);
+            return;
+          }
+          db.get(`SELECT * FROM products WHERE id = ?`, [productId], (err, product) => {
+            if (err) {
+              reject(err);
+              return;
+            }
+            db.run(
+              `INSERT INTO reservations (product_id, user_phone, request_id, price) VALUES (?, ?, ?, ?)`,
+              [productId, userPhone, requestId, product.price],
+              (err) => {
+                if (err) reject(err);
+                else resolve(product);
+              }
+            );
+          });
+        }
+      );
+    });
+  },
+
+  // Latest reservations with their product
+  getReservations: (limit = 50) => {
+    return new Promise((resolve, reject) => {
+      db.all(
+        `SELECT r.*, p.brand, p.model, p.storage, p.condition
+         FROM reservations r
+         LEFT JOIN products p ON p.id = r.product_id
+         ORDER BY r.created_at DESC, r.id DESC
+         LIMIT ?`,
+        [limit],
+        (err, rows) => {
+          if (err) reject(err);
+          else resolve(rows);
+        }
+      );
+    });
+  },
+
+  // Trade-in pricing rules (all of them, or one brand's)
+  getPricingRules: (brand = null) => {
+    return new Promise((resolve, reject) => {
+      db.all(
+        `SELECT * FROM pricing_rules
+         WHERE ? IS NULL OR LOWER(brand) = LOWER(?)
+         ORDER BY brand, model, base_price`,
+        [brand, brand],
+        (err, rows) => {
+          if (err) reject(err);
+          else resolve(rows);
+        }
+      );
+    });
+  },
+
+  // Add a pricing rule, or update it when rule.id is set
+  savePricingRule: (rule) => {
+    const values = [rule.brand, rule.model, rule.storage, rule.base_price, rule.multiplier_neuf, rule.multiplier_bon, rule.multiplier_casse];
+    return new Promise((resolve, reject) => {
+      if (rule.id) {
+        db.run(
+          `UPDATE pricing_rules SET brand = ?, model = ?, storage = ?, base_price = ?,
+             multiplier_neuf = ?, multiplier_bon = ?, multiplier_casse = ?, updated_at = CURRENT_TIMESTAMP
+           WHERE id = ?`,
+          [...values, rule.id],
+          function(err) {
+            if (err) reject(err);
+            else resolve(rule.id);
+          }
+        );
+      } else {
+        db.run(
+          `INSERT INTO pricing_rules (brand, model, storage, base_price, multiplier_neuf, multiplier_bon, multiplier_casse)
+           VALUES (?, ?, ?, ?, ?, ?, ?)`,
+          values,
+          function(err) {
+            if (err) reject(err);
+            else resolve(this.lastID);
+          }
+        );
+      }
+    });
+  },
+
+  // Remove a pricing rule
+  deletePricingRule: (id) => {
+    return new Promise((resolve, reject) => {
+      db.run(
+        `DELETE FROM pricing_rules WHERE id = ?`,
+        [id],
+        function(err) {
+          if (err) reject(err);
+          else resolve(this.changes);
+        }
+      );
+    });
+  },
+
+  // Repair prices (all of them, or one brand's)
+  getRepairPrices: (brand = null) => {
+    return new Promise((resolve, reject) => {
+      db.all(
+        `SELECT * FROM repair_prices
+         WHERE ? IS NULL OR LOWER(brand) = LOWER(?)
+         ORDER BY brand, model, issue`,
+        [brand, brand],
+        (err, rows) => {
+          if (err) reject(err);
+          else resolve(rows);
+        }
+      );
+    });
+  },
+
+  // Add a repair price, or update it when price.id is set
+  saveRepairPrice: (price) => {
+    const values = [price.brand, price.model, price.issue, price.parts_cost, price.labour_cost, price.turnaround_hours];
+    return new Promise((resolve, reject) => {
+      if (price.id) {
+        db.run(
+          `UPDATE repair_prices SET brand = ?, model = ?, issue = ?, parts_cost = ?, labour_cost = ?,
+             turnaround_hours = ?, updated_at = CURRENT_TIMESTAMP
+           WHERE id = ?`,
+          [...values, price.id],
+          function(err) {
+            if (err) reject(err);
+            else resolve(price.id);
+          }
+        );
+      } else {
+        db.run(
+          `INSERT INTO repair_prices (brand, model, issue, parts_cost, labour_cost, turnaround_hours)
+           VALUES (?, ?, ?, ?, ?, ?)`,
+          values,
+          function(err) {
+            if (err) reject(err);
+            else resolve(this.lastID);
+          }
+        );
+      }
+    });
+  },
+
+  // Remove a repair price
+  deleteRepairPrice: (id) => {
+    return new Promise((resolve, reject) => {
+      db.run(
+        `DELETE FROM repair_prices WHERE id = ?`,
+        [id],
+        function(err) {
+          if (err) reject(err);
+          else resolve(this.changes);
+        }
+      );
+    });
+  },
+
+  // Save a new version of a request's quote and make it the current one,
+  // resolves with its version number
+  saveQuote: (requestId, userPhone, quote, createdBy = null) => {
+    return new Promise((resolve, reject) => {
+      // Versions are numbered per request: without one, every quote would be v1
+      if (!requestId) {
+        reject(new Error(`Quote of ${userPhone} saved without a request`));
+        return;
+      }
+      db.run(
+        `INSERT INTO quotes (user_phone, request_id, version, kind, low, high, details, status, created_by)
+         VALUES (?, ?, (SELECT COALESCE(MAX(version), 0) + 1 FROM quotes WHERE request_id = ?), ?, ?, ?, ?, ?, ?)`,
+        [userPhone, requestId, requestId, quote.kind, quote.low, quote.high, JSON.stringify(quote.details || {}), quote.status || 'estimate', createdBy],
+        function(err) {
+          if (err) {
+            reject(err);
+            return;
+          }
+          const quoteId = this.lastID;
+          db.run(
+            `UPDATE requests SET quote_low = ?, quote_high = ?, quote_status = ?, updated_at = CURRENT_TIMESTAMP
+             WHERE id = ?`,
+            [quote.low, quote.high, quote.status || 'estimate', requestId],
+            (err) => {
+              if (err) {
+                reject(err);
+                return;
+              }
+              liveEvents.emit('request', { id: requestId, user_phone: userPhone });
+              db.get(`SELECT version FROM quotes WHERE id = ?`, [quoteId], (err, row) => {
+                if (err) reject(err);
+                else resolve(row.version);
+              });
+            }
+          );
+        }
+      );
+    });
+  },
+
+  // Quotes of a user (newest first)
+  getQuotes: (userPhone) => {
+    return new Promise((resolve, reject) => {
+      db.all(
+        `SELECT * FROM quotes WHERE user_phone = ? ORDER BY id DESC`,
+        [userPhone],
+        (err, rows) => {
+          if (err) reject(err);
+          else resolve(rows.map(row => ({ ...row, details: JSON.parse(row.details) })));
+        }
+      );
+    });
+  },
+
+  // Latest quote of a request (undefined when there is none)
+  getLatestQuote: (requestId) => {
+    return new Promise((resolve, reject) => {
+      db.get(
+        `SELECT * FROM quotes WHERE request_id = ? ORDER BY version DESC LIMIT 1`,
+        [requestId],
+        (err, row) => {
+          if (err) reject(err);
+          else resolve(row && { ...row, details: JSON.parse(row.details) });
+        }
+      );
+    });
+  },
+
+  // Staff confirm the latest quote of a request (optionally with the final price),
+  // saved as a new version; resolves with it (null when there is no quote)
+  confirmQuote: async (requestId, price = null, staffUsername = null) => {
+    const latest = await dbHelpers.getLatestQuote(requestId);
+    if (!latest) return null;
+
+    const confirmed = {
+      kind: latest.kind,
+      low: price ?? latest.low,
+      high: price ?? latest.high,
+      details: latest.details,
+      status: 'confirmed'
+    };
+    confirmed.version = await dbHelpers.saveQuote(requestId, latest.user_phone, confirmed, staffUsername);
+    return confirmed;
+  },
+
+  // Opening hours of every weekday (0 = Sunday)
+  getOpeningHours: () => {
+    return new Promise((resolve, reject) => {
+      db.all(
+        `SELECT * FROM opening_hours ORDER BY weekday`,
+        [],
+        (err, rows) => {
+          if (err) reject(err);
+          else resolve(rows);
+        }
+      );
+    });
+  },
+
+  // Set the opening hours and capacity of a weekday (opens NULL = closed)
+  saveOpeningHours: (weekday, opens, closes, capacity) => {
+    return new Promise((resolve, reject) => {
+      db.run(
+        `INSERT INTO opening_hours (weekday, opens, closes, capacity) VALUES (?, ?, ?, ?)
+         ON CONFLICT(weekday) DO UPDATE SET opens = excluded.opens, closes = excluded.closes, capacity = excluded.capacity`,
+        [weekday, opens, closes, capacity],
+        function(err) {
+          if (err) reject(err);
+          else resolve(this.changes);
+        }
+      );
+    });
+  },
+
+  // Booked appointments per slot between two 'YYYY-MM-DD HH:MM' times
+  getBookedSlotCounts: (from, to) => {
+    return new Promise((resolve, reject) => {
+      db.all(
+        `SELECT starts_at, COUNT(*) as booked FROM appointments
+         WHERE status = 'booked' AND starts_at >= ? AND starts_at < ?
+         GROUP BY starts_at`,
+        [from, to],
+        (err, rows) => {
+          if (err) reject(err);
+          else resolve(Object.fromEntries(rows.map(row => [row.starts_at, row.booked])));
+        }
+      );
+    });
+  },
+
+  // Book a slot unless it is full, resolves with the appointment id (null when full)
+  bookAppointment: (userPhone, requestId, startsAt, capacity) => {
+    return new Promise((resolve, reject) => {
+      db.run(
+        `INSERT INTO appointments (user_phone, request_id, starts_at)
+         SELECT ?, ?, ?
+         WHERE (SELECT COUNT(*) FROM appointments WHERE starts_at = ? AND status = 'booked') < ?`,
+        [userPhone, requestId, startsAt, startsAt, capacity],
+        function(err) {
+          if (err) reject(err);
+          else resolve(this.changes > 0 ? this.lastID : null);
+        }
+      );
+    });
+  },
+
+  // Appointments of one day ('YYYY-MM-DD') with what the customer told the bot
+  getAppointments: (day) => {
+    return new Promise((resolve, reject) => {
+      db.all(
+        `SELECT a.*, r.brand, r.model, r.issue, r.issue_detail
+         FROM appointments a
+         LEFT JOIN requests r ON r.id = a.request_id
+         WHERE a.starts_at LIKE ? || '%'
+         ORDER BY a.starts_at, a.id`,
+        [day],
+        (err, rows) => {
+          if (err) reject(err);
+          else resolve(rows);
+        }
+      );
+    });
+  },
+
+  // Cancel an appointment (frees its slot)
+  cancelAppointment: (id) => {
+    return new Promise((resolve, reject) => {
+      db.run(
+        `UPDATE appointments SET status = 'cancelled' WHERE id = ?`,
+        [id],
+        function(err) {
+          if (err) reject(err);
+          else resolve(this.changes);
+        }
+      );
+    });
+  },
+
+  // Form answers and status of one request
+  getRequest: (id) => {
+    return new Promise((resolve, reject) => {
+      db.get(
+        `SELECT * FROM requests WHERE id = ?`,
+        [id],
+        (err, row) => {
+          if (err) reject(err);
+          else resolve(row);
+        }
+      );
+    });
+  },
+
+  // Requests of a user (newest first)
+  getUserRequests: (userPhone) => {
+    return new Promise((resolve, reject) => {
+      db.all(
+        `SELECT * FROM requests WHERE user_phone = ? ORDER BY id DESC`,
+        [userPhone],
+        (err, rows) => {
+          if (err) reject(err);
+          else resolve(rows);
+        }
+      );
+    });
+  },
+
+  // Completed repair requests and their ticket status (oldest update first)
+  getRepairTickets: () => {
+    return new Promise((resolve, reject) => {
+      db.all(
+        `SELECT * FROM requests WHERE intent = 'repair' AND completed_at IS NOT NULL ORDER BY updated_at ASC`,
+        [],
+        (err, rows) => {
+          if (err) reject(err);
+          else resolve(rows);
+        }
+      );
+    });
+  },
+
+  // Move a ticket to a new status and log the change, resolves with the change id
+  setTicketStatus: (requestId, userPhone, fromStatus, toStatus, changedBy = null) => {
+    return new Promise((resolve, reject) => {
+      db.run(
+        `UPDATE requests SET status = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+        [toStatus, requestId],
+        (err) => {
+          if (err) {
+            reject(err);
+            return;
+          }
+          db.run(
+            `INSERT INTO status_changes (user_phone, request_id, from_status, to_status, changed_by) VALUES (?, ?, ?, ?, ?)`,
+            [userPhone, requestId, fromStatus, toStatus, changedBy],
+            function(err) {
+              if (err) {
+                reject(err);
+                return;
+              }
+              liveEvents.emit('status', {
+                request_id: requestId,
+                user_phone: userPhone,
+                from_status: fromStatus,
+                to_status: toStatus,
+                changed_by: changedBy
+              });
+              resolve(this.lastID);
+            }
+          );
+        }
+      );
+    });
+  },
+
+  // Record that the customer was sent the WhatsApp message of a status change
+  markStatusChangeNotified: (id) => {
+    return new Promise((resolve, reject) => {
+      db.run(
+        `UPDATE status_changes SET notified = 1 WHERE id = ?`,
+        [id],
+        function(err) {
+          if (err) reject(err);
+          else resolve(this.changes);
+        }
+      );
+    });
+  },
+
+  // Status changes of a repair ticket (newest first)
+  getStatusChanges: (requestId) => {
+    return new Promise((resolve, reject) => {
+      db.all(
+        `SELECT * FROM status_changes WHERE request_id = ? ORDER BY created_at DESC, id DESC`,
+        [requestId],
+        (err, rows) => {
+          if (err) reject(err);
+          else resolve(rows);
+        }
+      );
+    });
+  },
+
+  // Phones a user reserved and has not picked up yet
+  getOpenReservations: (userPhone) => {
+    return new Promise((resolve, reject) => {
+      db.all(
+        `SELECT r.*, p.brand, p.model, p.storage
+         FROM reservations r
+         LEFT JOIN products p ON p.id = r.product_id
+         WHERE r.user_phone = ? AND r.status = 'reserved'
+         ORDER BY r.created_at ASC, r.id ASC`,
+        [userPhone],
+        (err, rows) => {
+          if (err) reject(err);
+          else resolve(rows);
+        }
+      );
+    });
+  },
+
+  // Booked appointments of a user from a 'YYYY-MM-DD HH:MM' time on
+  getUpcomingAppointments: (userPhone, from) => {
+    return new Promise((resolve, reject) => {
+      db.all(
+        `SELECT * FROM appointments
+         WHERE user_phone = ? AND status = 'booked' AND starts_at >= ?
+         ORDER BY starts_at ASC`,
+        [userPhone, from],
+        (err, rows) => {
+          if (err) reject(err);
+          else resolve(rows);
+        }
+      );
+    });
+  },
+
+  // Get statistics
+  getStats: () => {
+    return new Promise((resolve, reject) => {
+      db.get(
+        `SELECT 
+          COUNT(DISTINCT phone_number) as total_users,
+          (SELECT COUNT(*) FROM requests WHERE intent = 'buy') as buy_requests,
+          (SELECT COUNT(*) FROM requests WHERE intent = 'sell') as sell_requests,
+          (SELECT COUNT(*) FROM requests WHERE intent = 'repair') as repair_requests,
+          (SELECT COUNT(*) FROM conversations) as total_messages
+         FROM users`,
+        [],
+        (err, row) => {
+          if (err) reject(err);
+          else resolve(row);
+        }
+      );
+    });
+  }
+};
+
+// ==========================================
+// SESSION STORES
+// ==========================================
+
+/*
+A session store keeps the conversation state of each user:
+  { currentStep, userData, history, retries, requestId }
+(requestId: the requests row of the current flow run, null until the first answer)
+
+Every store exposes the same async interface:
+  get(userId)          -> session or null
+  set(userId, session) -> saves the session
+  delete(userId)       -> removes the session
+*/
+
+// In-memory store (useful for tests, lost on restart)
+class MemorySessionStore {
+  constructor() {
+    this.sessions = new Map();
+  }
+
+  async get(userId) {
+    return this.sessions.get(userId) || null;
+  }
+
+  async set(userId, session) {
+    this.sessions.set(userId, session);
+  }
+
+  async delete(userId) {
+    this.sessions.delete(userId);
+  }
+}
+
+// SQLite store (default, survives deploys and crashes)
+class SQLiteSessionStore {
+  constructor(database) {
+    this.db = database;
+  }
+
+  get(userId) {
+    return new Promise((resolve, reject) => {
+      this.db.get(
+        `SELECT current_step, user_data, history, retries, request_id FROM sessions WHERE user_phone = ?`,
+        [userId],
+        (err, row) => {
+          if (err) {
+            reject(err);
+            return;
+          }
+          if (!row) {
+            resolve(null);
+            return;
+          }
+          resolve({
+            currentStep: row.current_step,
+            userData: JSON.parse(row.user_data),
+            history: JSON.parse(row.history),
+            retries: JSON.parse(row.retries),
+            requestId: row.request_id
+          });
+        }
+      );
+    });
+  }
+
+  set(userId, session) {
+    return new Promise((resolve, reject) => {
+      this.db.run(
+        `INSERT INTO sessions (user_phone, current_step, user_data, history, retries, request_id, updated_at)
+         VALUES (?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+         ON CONFLICT(user_phone)
+         DO UPDATE SET
+           current_step = excluded.current_step,
+           user_data = excluded.user_data,
+           history = excluded.history,
+           retries = excluded.retries,
+           request_id = excluded.request_id,
+           updated_at = CURRENT_TIMESTAMP`,
+        [userId, session.currentStep, JSON.stringify(session.userData), JSON.stringify(session.history), JSON.stringify(session.retries || {}), session.requestId || null],
+        (err) => {
+          if (err) reject(err);
+          else resolve();
+        }
+      );
+    });
+  }
+
+  delete(userId) {
+    return new Promise((resolve, reject) => {
+      this.db.run(
+        `DELETE FROM sessions WHERE user_phone = ?`,
+        [userId],
+        (err) => {
+          if (err) reject(err);
+          else resolve();
+        }
+      );
+    });
+  }
+}
+
+// ==========================================
+// LANGUAGES
+// ==========================================
+
+/*
+Step texts and button titles are either a plain string (French)
+or one variant per locale:
+  text: { fr: "Bonjour", ar: "السلام عليكم", en: "Hello" }
+Missing variants fall back to French.
+*/
+
+const LOCALES = ['fr', 'ar', 'en'];
+const DEFAULT_LOCALE = 'fr';
+const RTL_LOCALES = ['ar'];
+
+// Unicode marks used to keep Arabic text readable around Latin values
+const RLM = '\u200F';
+const FSI = '\u2068';
+const PDI = '\u2069';
+
+// Texts sent by the engine itself (not part of the flow)
+const BOT_MESSAGES = {
+  fr: {
+    invalidOption: "Veuillez choisir une option valide (ou tapez 'conseiller' pour parler à un conseiller) :",
+    stepNotFound: "Erreur: étape introuvable. Tapez 'menu' pour recommencer.",
+    photoExpected: "📸 Veuillez envoyer une photo.",
+    locationExpected: "📍 Veuillez partager votre position (📎 → Position).",
+    textExpected: "✍️ Veuillez répondre par un message texte.",
+    invalidInput: "❌ Réponse non valide, veuillez réessayer :",
+    productUnavailable: "😕 Ce téléphone n'est plus disponible, choisissez-en un autre :",
+    noProductFits: "🔸 Aucun ne me convient",
+    slotUnavailable: "😕 Ce créneau vient d'être pris, choisissez-en un autre :",
+    noSlotFits: "🔸 Aucun ne me va",
+    handoffStarted: "👤 Un conseiller va vous répondre ici dès que possible.\nTapez 'menu' pour revenir à l'assistant automatique.",
+    chooseLanguage: "🌐 Choisissez votre langue / اختار اللغة / Choose your language"
+  },
+  ar: {
+    invalidOption: "عافاك ختار واحد من الاختيارات (ولا كتب 'conseiller' باش تهضر مع مستشار):",
+    stepNotFound: "وقع مشكل. كتب 'menu' باش تعاود من الأول.",
+    photoExpected: "📸 عافاك صيفط لينا تصويرة.",
+    locationExpected: "📍 عافاك صيفط لينا الموقع ديالك (📎 ← الموقع).",
+    textExpected: "✍️ عافاك جاوب برسالة مكتوبة.",
+    invalidInput: "❌ الجواب ماشي صحيح، عاود عافاك:",
+    productUnavailable: "😕 هاد التيليفون ما بقاش متوفر، ختار واحد آخر:",
+    noProductFits: "🔸 حتى واحد ما عجبني",
+    slotUnavailable: "😕 هاد الوقت تحجز دابا، ختار وقت آخر:",
+    noSlotFits: "🔸 حتى واحد ما مناسب",
+    handoffStarted: "👤 شي مستشار غادي يجاوبك هنا ف أقرب وقت.\nكتب 'menu' باش ترجع للمساعد الأوتوماتيكي.",
+    chooseLanguage: "🌐 Choisissez votre langue / اختار اللغة / Choose your language"
+  },
+  en: {
+    invalidOption: "Please choose a valid option (or type 'conseiller' to talk to an advisor):",
+    stepNotFound: "Error: step not found. Type 'menu' to start again.",
+    photoExpected: "📸 Please send a photo.",
+    locationExpected: "📍 Please share your location (📎 → Location).",
+    textExpected: "✍️ Please answer with a text message.",
+    invalidInput: "❌ Invalid answer, please try again:",
+    productUnavailable: "😕 This phone is no longer available, please pick another one:",
+    noProductFits: "🔸 None of these",
+    slotUnavailable: "😕 This slot was just taken, please pick another one:",
+    noSlotFits: "🔸 None of these",
+    handoffStarted: "👤 An advisor will answer you here as soon as possible.\nType 'menu' to go back to the automatic assistant.",
+    chooseLanguage: "🌐 Choisissez votre langue / اختار اللغة / Choose your language"
+  }
+};
+
+// Language picker (typed keyword -> buttons)
+const LANGUAGE_COMMANDS = ['langue', 'language', 'lang', 'lougha', 'اللغة', 'لغة'];
+const LANGUAGE_BUTTONS = [
+  { id: 'lang_fr', title: '🇫🇷 Français', locale: 'fr' },
+  { id: 'lang_ar', title: '🇲🇦 الدارجة', locale: 'ar' },
+  { id: 'lang_en', title: '🇬🇧 English', locale: 'en' }
+];
+
+const RESET_COMMANDS = ['menu', 'start', 'قائمة', 'بداية'];
+
+// Keywords used to guess the language of the first message
+const LOCALE_KEYWORDS = {
+  fr: ['bonjour', 'bonsoir', 'salut', 'je', 'veux', 'voudrais', 'acheter', 'vendre', 'réparer', 'reparer',
+       'téléphone', 'telephone', 'merci', 'svp', 'écran', 'ecran', 'prix', 'combien'],
+  ar: ['salam', 'slm', 'salamo', 'bghit', 'bghina', 'wach', 'wash', 'chno', 'achno', 'chnou', 'kifach',
+       'afak', 'labas', 'mzyan', 'bchhal', 'chhal', 'chkon', 'dyal', 'dial', 'tilifon', 'nchri', 'nbi3', 'nsle7'],
+  en: ['hello', 'hi', 'hey', 'want', 'buy', 'sell', 'repair', 'fix', 'phone', 'please', 'thanks', 'price',
+       'how', 'much', 'screen', 'good', 'morning', 'evening']
+};
+
+// Guess the locale of a message, null when unsure
+function detectLocale(text) {
+  if (!text) return null;
+  if (/[\u0600-\u06FF]/.test(text)) return 'ar';
+
+  const words = text.toLowerCase().split(/[^a-z0-9\u00C0-\u017F]+/).filter(Boolean);
+  const scores = { fr: 0, ar: 0, en: 0 };
+
+  words.forEach(word => {
+    LOCALES.forEach(locale => {
+      if (LOCALE_KEYWORDS[locale].includes(word)) scores[locale]++;
+    });
+    // Darija written with digits for Arabic letters (3afak, m3ak, sa7bi...)
+    if (/[a-z]/.test(word) && /[379]/.test(word)) scores.ar++;
+  });
+
+  const best = Math.max(...Object.values(scores));
+  if (best === 0) return null;
+  const winners = LOCALES.filter(locale => scores[locale] === best);
+  return winners.length === 1 ? winners[0] : null;
+}
+
+// Pick the variant of a text for a locale (with French fallback)
+function localize(value, locale = DEFAULT_LOCALE) {
+  if (value == null || typeof value === 'string') return value;
+  return value[locale] || value[DEFAULT_LOCALE] || Object.values(value)[0];
+}
+
+function localizeButtons(buttons, locale) {
+  if (!buttons) return buttons;
+  return buttons.map(btn => ({ id: btn.id, title: localize(btn.title, locale) }));
+}
+
+// List of a "list" step in the user's locale
+function localizeList(step, locale) {
+  return {
+    button: localize(step.button, locale),
+    sections: step.sections.map(section => ({
+      title: localize(section.title, locale),
+      rows: section.rows.map(row => ({
+        id: row.id,
+        title: localize(row.title, locale),
+        description: localize(row.description, locale)
+      }))
+    }))
+  };
+}
+
+function isRtl(locale) {
+  return RTL_LOCALES.includes(locale);
+}
+
+// ==========================================
+// INPUT VALIDATION
+// ==========================================
+
+/*
+"input" steps can declare a validator, an error message and a retry count:
+  "validate": { "type": "number", "min": 500, "max": 50000 },
+  "error": { "fr": "Indiquez un montant, ex: 3000 MAD" },
+  "retries": 2
+
+Validator types (all accept "minLength" / "maxLength"):
+  text    -> length only
+  number  -> amount in MAD ("3000", "3 000 dh", "3k", "300€" converted)
+  regex   -> "pattern" (and optional "flags", without "g" / "y")
+  oneOf   -> "options": { "neuf": ["new", "jdid", "جديد"], ... }, stores the key
+  phone   -> phone number, stored as +212...
+  email   -> email address, stored in lower case
+The parsed value is saved in requests.normalized next to the raw text.
+When the retries are used up the raw answer is kept and the flow goes on.
+*/
+
+const DEFAULT_RETRIES = 2;
+
+// Approximate rates used to convert amounts given in another currency
+const CURRENCY_RATES_TO_MAD = { MAD: 1, EUR: 10.8, USD: 10 };
+
+// Lower case without accents, for synonym matching
+function simplifyText(text) {
+  return text.normalize('NFD').replace(/[\u0300-\u036f]/g, '').trim().toLowerCase();
+}
+
+function toLatinDigits(text) {
+  return text.replace(/[\u0660-\u0669]/g, digit => String(digit.charCodeAt(0) - 0x0660));
+}
+
+// "3 000 dh" -> 3000, "3,5k" -> 3500, "300€" -> 3240 (null if no amount)
+function parseAmountMAD(text) {
+  const lower = toLatinDigits(text.toLowerCase()).replace(/\u00a0/g, ' ');
+  const match = lower.match(/(\d[\d\s.,]*)\s*(k|mille|alf|ألف)?/);
+  if (!match) return null;
+
+  let digits = match[1].trim().replace(/\s/g, '');
+  if (/^\d{1,3}([.,]\d{3})+$/.test(digits)) {
+    digits = digits.replace(/[.,]/g, ''); // 3.000 / 3,000
+  } else {
+    digits = digits.replace(',', '.'); // 3,5
+  }
+  let amount = parseFloat(digits);
+  if (Number.isNaN(amount)) return null;
+  if (match[2]) amount *= 1000;
+
+  let currency = 'MAD';
+  if (/€|\beur|euro/.test(lower)) currency = 'EUR';
+  else if (/\$|\busd|dollar/.test(lower)) currency = 'USD';
+
+  return Math.round(amount * CURRENCY_RATES_TO_MAD[currency]);
+}
+
+// Regex validators compiled once, when the flow is validated (rule -> RegExp)
+const compiledPatterns = new WeakMap();
+
+function compilePattern(rule) {
+  if (!compiledPatterns.has(rule)) compiledPatterns.set(rule, new RegExp(rule.pattern, rule.flags));
+  return compiledPatterns.get(rule);
+}
+
+// Each validator returns the normalized value, or null when the answer is invalid
+const VALIDATORS = {
+  text: (text) => text.trim(),
+
+  number: (text, rule) => {
+    const amount = parseAmountMAD(text);
+    if (amount === null) return null;
+    if (rule.min !== undefined && amount < rule.min) return null;
+    if (rule.max !== undefined && amount > rule.max) return null;
+    return amount;
+  },
+
+  regex: (text, rule) => {
+    return compilePattern(rule).test(text.trim()) ? text.trim() : null;
+  },
+
+  oneOf: (text, rule) => {
+    const answer = simplifyText(text);
+    const key = Object.keys(rule.options).find(option =>
+      simplifyText(option) === answer ||
+      rule.options[option].some(synonym => simplifyText(synonym) === answer)
+    );
+    return key || null;
+  },
+
+  phone: (text) => {
+    let phone = toLatinDigits(text).replace(/[\s.\-()]/g, '');
+    if (phone.startsWith('00')) phone = '+' + phone.slice(2);
+    if (/^0[5-7]\d{8}$/.test(phone)) phone = '+212' + phone.slice(1); // Moroccan number
+    return /^\+\d{8,15}$/.test(phone) ? phone : null;
+  },
+
+  email: (text) => {
+    const email = text.trim().toLowerCase();
+    return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email) ? email : null;
+  }
+};
+
+// Run a step validator: { valid, value }
+function validateInput(text, rule) {
+  const length = Array.from(text.trim()).length;
+  if (rule.minLength !== undefined && length < rule.minLength) return { valid: false, value: null };
+  if (rule.maxLength !== undefined && length > rule.maxLength) return { valid: false, value: null };
+
+  const value = VALIDATORS[rule.type](text, rule);
+  return { valid: value !== null, value };
+}
+
+// Check the validator of a step (used by validateFlow)
+function checkValidator(rule, label, errors) {
+  if (!rule || typeof rule !== 'object' || !VALIDATORS[rule.type]) {
+    errors.push(`${label}: unknown validator type "${rule && rule.type}" (expected ${Object.keys(VALIDATORS).join(', ')})`);
+    return;
+  }
+  ['min', 'max', 'minLength', 'maxLength'].forEach(key => {
+    if (rule[key] !== undefined && typeof rule[key] !== 'number') {
+      errors.push(`${label}: validator "${key}" must be a number`);
+    }
+  });
+  if (rule.type === 'regex') {
+    if (typeof rule.pattern !== 'string') {
+      errors.push(`${label}: regex validator needs a "pattern"`);
+    } else if (/[gy]/.test(rule.flags || '')) {
+      // They make test() continue from the previous match (lastIndex)
+      errors.push(`${label}: regex flags "g" and "y" are not allowed`);
+    } else {
+      try {
+        compilePattern(rule);
+      } catch (error) {
+        errors.push(`${label}: invalid regex (${error.message})`);
+      }
+    }
+  }
+  if (rule.type === 'oneOf') {
+    const options = rule.options && typeof rule.options === 'object' ? Object.values(rule.options) : [];
+    if (options.length === 0 || !options.every(Array.isArray)) {
+      errors.push(`${label}: oneOf validator needs "options": { value: [synonyms] }`);
+    }
+  }
+}
+
+// ==========================================
+// PRODUCT CATALOG
+// ==========================================
+
+/*
+Phones for sale live in the products table (managed in /admin/products).
+A "products" flow step lists the phones in stock for the chosen brand
+within the customer's parsed budget; picking one reserves it (stock - 1).
+*/
+
+const PRODUCT_CONDITIONS = {
+  neuf: { fr: 'Neuf', ar: 'جديد', en: 'New' },
+  reconditionne: { fr: 'Reconditionné', ar: 'مجدد', en: 'Refurbished' },
+  occasion: { fr: 'Occasion', ar: 'مستعمل', en: 'Used' }
+};
+
+// How long a reserved phone is kept for the customer (see confirm_reservation)
+const RESERVATION_HOLD_HOURS = 48;
+
+// Phones slightly above the budget are still offered (+10%)
+const BUDGET_TOLERANCE = 1.1;
+
+const PRODUCT_ROW_PREFIX = 'product_';
+const NO_PRODUCT_ROW_ID = 'product_none';
+
+function truncate(text, max) {
+  const chars = Array.from(text);
+  return chars.length > max ? chars.slice(0, max - 1).join('') + '…' : text;
+}
+
+function formatPrice(price) {
+  return `${Number(price).toLocaleString('fr-FR')} MAD`;
+}
+
+// "Apple iPhone 13 128 Go" (what the customer reserved)
+function productLabel(product) {
+  return [product.brand, product.model, product.storage].filter(Boolean).join(' ');
+}
+
+// List row of a product in the customer's locale
+function productRow(product, locale) {
+  const details = [
+    product.storage,
+    localize(PRODUCT_CONDITIONS[product.condition], locale),
+    formatPrice(product.price)
+  ].filter(Boolean).join(' · ');
+
+  return {
+    id: PRODUCT_ROW_PREFIX + product.id,
+    title: truncate(`${product.brand} ${product.model}`, MAX_LIST_ROW_TITLE_LENGTH),
+    description: truncate(details, MAX_LIST_ROW_DESCRIPTION_LENGTH)
+  };
+}
+
+// ==========================================
+// PRICING
+// ==========================================
+
+/*
+A "quote" flow step prices the customer's phone from the database and
+replies with its text ({{quote}} = the range), or goes to its fallback
+step when nothing matches. Each quote is saved as a new version (per
+request) in the quotes table ('estimate' until staff confirm it from the dashboard) and
+the latest one on the request of the flow run.
+
+Price lists match the brand, and the model words: a row applies when all
+its model words appear in the customer's model (the most specific wins,
+an empty model applies to the whole brand).
+
+Trade-in ("quote": "trade_in"): pricing_rules base price x condition
+multiplier, +/- ESTIMATE_SPREAD. The sell flow does not ask for the
+storage, so the range covers every storage variant.
+
+Repair ("quote": "repair"): repair_prices row of the issue, parts + labour,
+with {{parts_cost}}, {{labour_cost}} and {{turnaround}} for the step text.
+Issues without a price ("autre") go to the fallback (manual quote).
+*/
+
+const TRADE_IN_CONDITIONS = ['neuf', 'bon', 'casse'];
+// Issues priced in the repair list (the ask_issue button ids), suggested in the admin
+const REPAIR_ISSUES = ['ecran', 'batterie'];
+const ESTIMATE_SPREAD = 0.1;
+const PRICE_ROUNDING = 50;
+
+function roundPrice(value) {
+  return Math.round(value / PRICE_ROUNDING) * PRICE_ROUNDING;
+}
+
+function modelWords(model) {
+  return simplifyText(model || '').split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+}
+
+// Rules of the most specific model matching the customer's answer
+function matchModelRules(rules, customerModel) {
+  const words = modelWords(customerModel);
+  const matching = rules.filter(rule => modelWords(rule.model).every(word => words.includes(word)));
+  const specificity = rule => modelWords(rule.model).length;
+  const best = Math.max(...matching.map(specificity));
+  return matching.filter(rule => specificity(rule) === best);
+}
+
+// { low, high } in MAD, or null when the phone cannot be priced
+async function estimateTradeIn(userData) {
+  if (!userData.brand || !TRADE_IN_CONDITIONS.includes(userData.condition)) return null;
+
+  const rules = matchModelRules(await dbHelpers.getPricingRules(userData.brand), userData.model);
+  if (rules.length === 0) return null;
+
+  const prices = rules.map(rule => rule.base_price * rule[`multiplier_${userData.condition}`]);
+  return {
+    low: roundPrice(Math.min(...prices) * (1 - ESTIMATE_SPREAD)),
+    high: roundPrice(Math.max(...prices) * (1 + ESTIMATE_SPREAD)),
+    details: { condition: userData.condition, pricing_rules: rules.map(rule => rule.id) }
+  };
+}
+
+// { low, high, details } in MAD, or null when the issue has no price
+async function estimateRepair(userData) {
+  if (!userData.brand || !userData.issue) return null;
+
+  const prices = (await dbHelpers.getRepairPrices(userData.brand))
+    .filter(price => price.issue.toLowerCase() === userData.issue.toLowerCase());
+  const rows = matchModelRules(prices, userData.model);
+  if (rows.length === 0) return null;
+
+  // Same model listed twice (e.g. original / compatible screen): quote the range
+  const cheapest = rows.reduce((a, b) => (a.parts_cost + a.labour_cost <= b.parts_cost + b.labour_cost ? a : b));
+  const totals = rows.map(row => row.parts_cost + row.labour_cost);
+  return {
+    low: Math.min(...totals),
+    high: Math.max(...totals),
+    details: {
+      issue: userData.issue,
+      parts_cost: cheapest.parts_cost,
+      labour_cost: cheapest.labour_cost,
+      turnaround_hours: Math.max(...rows.map(row => row.turnaround_hours)),
+      repair_prices: rows.map(row => row.id)
+    }
+  };
+}
+
+const QUOTE_ENGINES = {
+  trade_in: estimateTradeIn,
+  repair: estimateRepair
+};
+
+// "4 h", "2 jours"
+function formatTurnaround(hours, locale) {
+  if (hours < 24) {
+    return localize({ fr: `${hours} h`, ar: `${hours} ساعة`, en: `${hours} h` }, locale);
+  }
+  const days = Math.ceil(hours / 24);
+  return localize({
+    fr: `${days} jour${days > 1 ? 's' : ''}`,
+    ar: `${days} ${days > 1 ? 'أيام' : 'يوم'}`,
+    en: `${days} day${days > 1 ? 's' : ''}`
+  }, locale);
+}
+
+// {{placeholders}} of a quote step
+function quoteVariables(quote, locale) {
+  const details = quote.details || {};
+  const variables = { quote: formatPriceRange(quote) };
+  if (details.parts_cost !== undefined) variables.parts_cost = formatPrice(details.parts_cost);
+  if (details.labour_cost !== undefined) variables.labour_cost = formatPrice(details.labour_cost);
+  if (details.turnaround_hours !== undefined) variables.turnaround = formatTurnaround(details.turnaround_hours, locale);
+  return variables;
+}
+
+function formatPriceRange(quote) {
+  return quote.low === quote.high
+    ? formatPrice(quote.low)
+    : `${quote.low.toLocaleString('fr-FR')} – ${formatPrice(quote.high)}`;
+}
+
+// ==========================================
+// APPOINTMENTS
+// ==========================================
+
+/*
+Repair drop-offs are booked in SLOT_MINUTES slots within the opening hours
+of each weekday (opening_hours table, edited in /admin/appointments), up to
+"capacity" appointments per slot. Times are in the server time zone
+(set TZ=Africa/Casablanca) and stored as 'YYYY-MM-DD HH:MM'.
+
+A "slots" flow step lists the next available slots (a few per day, one
+list section per day); picking one books it.
+*/
+
+const SLOT_MINUTES = 60;
+const BOOKING_LEAD_MINUTES = 60;   // No slot sooner than this
+const BOOKING_DAYS_AHEAD = 14;
+const SLOTS_PER_DAY = 3;           // Offered per day, so the list spans several days
+
+const SLOT_ROW_PREFIX = 'slot_';
+const NO_SLOT_ROW_ID = 'slot_none';
+
+// Intl locale used for dates shown to customers
+const DATE_LOCALES = { fr: 'fr-FR', ar: 'ar-MA', en: 'en-GB' };
+
+function pad2(value) {
+  return String(value).padStart(2, '0');
+}
+
+// Date -> 'YYYY-MM-DD HH:MM' (server time zone)
+function toLocalDateTime(date) {
+  return `${date.getFullYear()}-${pad2(date.getMonth() + 1)}-${pad2(date.getDate())} ` +
+    `${pad2(date.getHours())}:${pad2(date.getMinutes())}`;
+}
+
+// 'YYYY-MM-DD HH:MM' (or 'YYYY-MM-DD') -> Date, null when malformed
+function parseLocalDateTime(value) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})(?: (\d{2}):(\d{2}))?$/.exec(value || '');
+  if (!match) return null;
+  const [year, month, day, hours, minutes] = match.slice(1).map(part => Number(part || 0));
+  const date = new Date(year, month - 1, day, hours, minutes);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+function minutesOfDay(time) {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+// Every slot start of a day within its opening hours
+function daySlots(day, hours) {
+  if (!hours || !hours.opens || !hours.closes || hours.capacity < 1) return [];
+  const slots = [];
+  for (let minutes = minutesOfDay(hours.opens); minutes + SLOT_MINUTES <= minutesOfDay(hours.closes); minutes += SLOT_MINUTES) {
+    slots.push(new Date(day.getFullYear(), day.getMonth(), day.getDate(), 0, minutes));
+  }
+  return slots;
+}
+
+// Next free slots: [{ startsAt, date, capacity }]
+async function getAvailableSlots({ from = new Date(), perDay = SLOTS_PER_DAY, limit = Infinity } = {}) {
+  const openingHours = Object.fromEntries((await dbHelpers.getOpeningHours()).map(row => [row.weekday, row]));
+  const earliest = new Date(from.getTime() + BOOKING_LEAD_MINUTES * 60 * 1000);
+  const lastDay = new Date(from.getFullYear(), from.getMonth(), from.getDate() + BOOKING_DAYS_AHEAD);
+  const booked = await dbHelpers.getBookedSlotCounts(toLocalDateTime(from), toLocalDateTime(lastDay));
+
+  const slots = [];
+  for (let offset = 0; offset < BOOKING_DAYS_AHEAD && slots.length < limit; offset++) {
+    const day = new Date(from.getFullYear(), from.getMonth(), from.getDate() + offset);
+    const hours = openingHours[day.getDay()];
+    const free = daySlots(day, hours)
+      .filter(date => date >= earliest && (booked[toLocalDateTime(date)] || 0) < hours.capacity)
+      .slice(0, perDay);
+    free.forEach(date => slots.push({ startsAt: toLocalDateTime(date), date, capacity: hours.capacity }));
+  }
+  return slots.slice(0, limit);
+}
+
+// "mardi 20 octobre"
+function formatDay(date, locale) {
+  return date.toLocaleDateString(DATE_LOCALES[locale] || DATE_LOCALES[DEFAULT_LOCALE], {
+    weekday: 'long', day: 'numeric', month: 'long'
+  });
+}
+
+// "mardi 20 octobre à 10:00" (what the customer booked)
+function formatAppointment(date, locale) {
+  const time = `${pad2(date.getHours())}:${pad2(date.getMinutes())}`;
+  return localize({
+    fr: `${formatDay(date, 'fr')} à ${time}`,
+    ar: `${formatDay(date, 'ar')} على ${time}`,
+    en: `${formatDay(date, 'en')} at ${time}`
+  }, locale);
+}
+
+// List sections of the offered slots, one per day
+function slotSections(slots, locale) {
+  const sections = [];
+  slots.forEach(slot => {
+    const title = truncate(formatDay(slot.date, locale), MAX_LIST_SECTION_TITLE_LENGTH);
+    let section = sections.find(s => s.title === title);
+    if (!section) {
+      section = { title, rows: [] };
+      sections.push(section);
+    }
+    section.rows.push({ id: SLOT_ROW_PREFIX + slot.startsAt, title: slot.startsAt.slice(11) });
+  });
+  return sections;
+}
+
+// ==========================================
+// CONVERSATION FLOW
+// ==========================================
+
+/*
+Flows live in the flows/ directory as .json, .yaml or .yml files.
+They are loaded and validated once at startup; the active one is
+picked with the FLOW_NAME env var (default: smartfix_phone_shop).
+*/
+
+const FLOWS_DIR = path.join(__dirname, 'flows');
+const DEFAULT_FLOW_NAME = 'smartfix_phone_shop';
+
+const STEP_TYPES = ['button', 'list', 'input', 'message', 'photo', 'location', 'products', 'slots', 'quote', 'end'];
+
+// Media a "photo" / "location" step waits for
+const MEDIA_STEP_TYPES = { photo: 'image', location: 'location' };
+
+// Steps filled from the database, they go to their "fallback" step when nothing matches
+const DATA_STEP_TYPES = ['products', 'slots', 'quote'];
+
+// Data steps showing a list the customer picks from (plus a "none of these" row)
+const PICK_STEP_TYPES = ['products', 'slots'];
+
+// WhatsApp limits for reply buttons
+const MAX_BUTTONS = 3;
+const MAX_BUTTON_TITLE_LENGTH = 20;
+
+// WhatsApp limits for list messages
+const MAX_LIST_ROWS = 10;
+const MAX_LIST_ROW_TITLE_LENGTH = 24;
+const MAX_LIST_ROW_DESCRIPTION_LENGTH = 72;
+const MAX_LIST_SECTION_TITLE_LENGTH = 24;
+
+// All rows of a "list" step
+function getListRows(step) {
+  return (Array.isArray(step.sections) ? step.sections : [])
+    .flatMap(section => Array.isArray(section.rows) ? section.rows : []);
+}
+
+// Ids the user can pick on a "button" or "list" step (null for other steps)
+function getStepChoices(step) {
+  if (step.type === 'button' || (step.type === 'quote' && step.buttons)) return step.buttons.map(btn => btn.id);
+  if (step.type === 'list') return getListRows(step).map(row => row.id);
+  return null;
+}
+
+// Check every variant of a localized text against a WhatsApp length limit
+function checkLength(value, max, label, errors) {
+  checkLocalized(value, label, errors).forEach(variant => {
+    if (Array.from(variant).length > max) {
+      errors.push(`${label} "${variant}" is longer than ${max} characters`);
+    }
+  });
+}
+
+// Check a (possibly localized) text, returns its variants
+function checkLocalized(value, label, errors) {
+  if (typeof value === 'string') {
+    if (!value.trim()) errors.push(`${label} is empty`);
+    return [value];
+  }
+  if (!value || typeof value !== 'object') {
+    errors.push(`${label} is missing`);
+    return [];
+  }
+
+  Object.keys(value).forEach(locale => {
+    if (!LOCALES.includes(locale)) {
+      errors.push(`${label}: unknown locale "${locale}" (expected ${LOCALES.join(', ')})`);
+    }
+  });
+  if (typeof value[DEFAULT_LOCALE] !== 'string' || !value[DEFAULT_LOCALE].trim()) {
+    errors.push(`${label}: "${DEFAULT_LOCALE}" variant is missing`);
+  }
+  return Object.values(value).filter(variant => typeof variant === 'string');
+}
+
+// Check a flow and return the list of problems (empty when valid)
+function validateFlow(flowConfig) {
+  const errors = [];
+
+  if (!flowConfig || typeof flowConfig !== 'object') {
+    return ['flow must be an object'];
+  }
+  if (!flowConfig.flow_name) {
+    errors.push('flow_name is missing');
+  }
+  if (!Array.isArray(flowConfig.steps) || flowConfig.steps.length === 0) {
+    errors.push('steps must be a non-empty array');
+    return errors;
+  }
+
+  // Unique step ids
+  const stepIds = new Set();
+  flowConfig.steps.forEach((step, index) => {
+    if (!step.id) {
+      errors.push(`steps[${index}]: id is missing`);
+    } else if (stepIds.has(step.id)) {
+      errors.push(`steps[${index}]: duplicate step id "${step.id}"`);
+    } else {
+      stepIds.add(step.id);
+    }
+  });
+
+  if (!stepIds.has('welcome')) {
+    errors.push('no "welcome" step (every conversation starts there)');
+  }
+
+  flowConfig.steps.forEach((step, index) => {
+    const label = step.id ? `step "${step.id}"` : `steps[${index}]`;
+
+    if (!STEP_TYPES.includes(step.type)) {
+      errors.push(`${label}: unknown type "${step.type}" (expected ${STEP_TYPES.join(', ')})`);
+    }
+    checkLocalized(step.text, `${label}: text`, errors);
+
+    // Stored answers must go to a known requests column
+    if (step.store && !USER_DATA_FIELDS.includes(step.store)) {
+      errors.push(`${label}: store "${step.store}" is not a known field (${USER_DATA_FIELDS.join(', ')})`);
+    }
+    if (step.error !== undefined) {
+      checkLocalized(step.error, `${label}: error`, errors);
+    }
+    if (step.validate !== undefined) {
+      if (step.type !== 'input') {
+        errors.push(`${label}: only "input" steps can have a validator`);
+      }
+      checkValidator(step.validate, `${label}: validate`, errors);
+    }
+    if (step.retries !== undefined && !(Number.isInteger(step.retries) && step.retries >= 0)) {
+      errors.push(`${label}: retries must be a positive integer`);
+    }
+    if (step.intent && !INTENTS.includes(step.intent)) {
+      errors.push(`${label}: unknown intent "${step.intent}"`);
+    }
+
+    // Quote steps can offer buttons too (e.g. "book a slot" after a repair quote)
+    if (step.type === 'button' || (step.type === 'quote' && step.buttons !== undefined)) {
+      const buttons = Array.isArray(step.buttons) ? step.buttons : [];
+      if (buttons.length < 1 || buttons.length > MAX_BUTTONS) {
+        errors.push(`${label}: must have 1 to ${MAX_BUTTONS} buttons (has ${buttons.length})`);
+      }
+      buttons.forEach((btn, btnIndex) => {
+        if (!btn.id) {
+          errors.push(`${label}: buttons[${btnIndex}] id is missing`);
+        }
+        checkLocalized(btn.title, `${label}: buttons[${btnIndex}] title`, errors).forEach(title => {
+          if (Array.from(title).length > MAX_BUTTON_TITLE_LENGTH) {
+            errors.push(`${label}: button title "${title}" is longer than ${MAX_BUTTON_TITLE_LENGTH} characters`);
+          }
+        });
+      });
+
+      if (!step.next || typeof step.next !== 'object') {
+        errors.push(`${label}: button steps need a "next" map (button id -> step id)`);
+      } else {
+        buttons.forEach(btn => {
+          if (btn.id && !step.next[btn.id]) {
+            errors.push(`${label}: button "${btn.id}" has no next step`);
+          }
+        });
+      }
+    } else if (step.type === 'list') {
+      checkLength(step.button, MAX_BUTTON_TITLE_LENGTH, `${label}: list button`, errors);
+
+      const sections = Array.isArray(step.sections) ? step.sections : [];
+      const rows = getListRows(step);
+      if (sections.length === 0 || rows.length < 1 || rows.length > MAX_LIST_ROWS) {
+        errors.push(`${label}: must have 1 to ${MAX_LIST_ROWS} rows in its sections (has ${rows.length})`);
+      }
+      sections.forEach((section, sectionIndex) => {
+        // WhatsApp requires a title as soon as there are several sections
+        if (section.title !== undefined || sections.length > 1) {
+          checkLength(section.title, MAX_LIST_SECTION_TITLE_LENGTH, `${label}: sections[${sectionIndex}] title`, errors);
+        }
+      });
+
+      const rowIds = new Set();
+      rows.forEach((row, rowIndex) => {
+        if (!row.id) {
+          errors.push(`${label}: rows[${rowIndex}] id is missing`);
+        } else if (rowIds.has(row.id)) {
+          errors.push(`${label}: duplicate row id "${row.id}"`);
+        } else {
+          rowIds.add(row.id);
+        }
+        checkLength(row.title, MAX_LIST_ROW_TITLE_LENGTH, `${label}: rows[${rowIndex}] title`, errors);
+        if (row.description !== undefined) {
+          checkLength(row.description, MAX_LIST_ROW_DESCRIPTION_LENGTH, `${label}: rows[${rowIndex}] description`, errors);
+        }
+      });
+
+      // "next" is one step for every row, or a map row id -> step id
+      if (step.next && typeof step.next === 'object') {
+        rows.forEach(row => {
+          if (row.id && !step.next[row.id]) {
+            errors.push(`${label}: row "${row.id}" has no next step`);
+          }
+        });
+      } else if (typeof step.next !== 'string') {
+        errors.push(`${label}: "next" must be a step id or a map (row id -> step id)`);
+      }
+    } else if (step.type !== 'end' && !DATA_STEP_TYPES.includes(step.type) && typeof step.next !== 'string') {
+      errors.push(`${label}: "next" must be a step id`);
+    }
+
+    if (DATA_STEP_TYPES.includes(step.type)) {
+      if (PICK_STEP_TYPES.includes(step.type)) {
+        checkLength(step.button, MAX_BUTTON_TITLE_LENGTH, `${label}: list button`, errors);
+      }
+      if (step.type === 'quote' && !QUOTE_ENGINES[step.quote]) {
+        errors.push(`${label}: unknown quote "${step.quote}" (expected ${Object.keys(QUOTE_ENGINES).join(', ')})`);
+      }
+      if (step.buttons === undefined && typeof step.next !== 'string') {
+        errors.push(`${label}: "next" must be a step id`);
+      }
+      // Where to go when nothing matches (or the customer wants none of the listed rows)
+      if (typeof step.fallback !== 'string') {
+        errors.push(`${label}: "fallback" must be a step id`);
+      } else {
+        const fallbackStep = flowConfig.steps.find(s => s.id === step.fallback);
+        if (fallbackStep && DATA_STEP_TYPES.includes(fallbackStep.type)) {
+          errors.push(`${label}: fallback "${step.fallback}" cannot be a ${fallbackStep.type} step`);
+        }
+      }
+    }
+
+    // Every next target must exist
+    const targets = typeof step.next === 'string'
+      ? [step.next]
+      : Object.values(step.next || {});
+    if (typeof step.fallback === 'string') {
+      targets.push(step.fallback);
+    }
+    targets.forEach(target => {
+      if (!stepIds.has(target)) {
+        errors.push(`${label}: next step "${target}" does not exist`);
+      }
+    });
+  });
+
+  return errors;
+}
+
+function parseFlowFile(filePath) {
+  const content = fs.readFileSync(filePath, 'utf8');
+  if (/\.ya?ml$/i.test(filePath)) {
+    return yaml.load(content);
+  }
+  return JSON.parse(content);
+}
+
+// Load and validate every flow file, throws with the full list of problems
+function loadFlows(dir = FLOWS_DIR) {
+  const files = fs.readdirSync(dir).filter(file => /\.(json|ya?ml)$/i.test(file));
+  const flows = {};
+  const errors = [];
+
+  files.forEach(file => {
+    let flowConfig;
+    try {
+      flowConfig = parseFlowFile(path.join(dir, file));
+    } catch (error) {
+      errors.push(`${file}: cannot parse (${error.message})`);
+      return;
+    }
+
+    const flowErrors = validateFlow(flowConfig);
+    if (flowErrors.length > 0) {
+      flowErrors.forEach(err => errors.push(`${file}: ${err}`));
+      return;
+    }
+
+    if (flows[flowConfig.flow_name]) {
+      errors.push(`${file}: duplicate flow_name "${flowConfig.flow_name}"`);
+      return;
+    }
+    flows[flowConfig.flow_name] = flowConfig;
+  });
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid flows in ${dir}:\n  - ${errors.join('\n  - ')}`);
+  }
+  return flows;
+}
+
+let flows;
+try {
+  flows = loadFlows();
+} catch (error) {
+  // Required as a module (tests): let the caller see the error
+  if (require.main !== module) throw error;
+  console.error('❌ ' + error.message);
+  process.exit(1);
+}
+
+const flow = flows[process.env.FLOW_NAME || DEFAULT_FLOW_NAME];
+if (!flow) {
+  const message = `Flow "${process.env.FLOW_NAME || DEFAULT_FLOW_NAME}" not found in ${FLOWS_DIR} (available: ${Object.keys(flows).join(', ') || 'none'})`;
+  if (require.main !== module) throw new Error(message);
+  console.error(`❌ ${message}`);
+  process.exit(1);
+}
+log(`✅ Flow loaded: ${flow.flow_name} (${flow.steps.length} steps)`);
+
+// ==========================================
+// CHATBOT ENGINE (Enhanced with DB)
+// ==========================================
+
+class WhatsAppChatbot {
+  constructor(flowConfig, sessionStore = new SQLiteSessionStore(db)) {
+    this.flow = flowConfig;
+    this.sessions = sessionStore;
+  }
+
+  async getSession(userId) {
+    let session = await this.sessions.get(userId);
+    if (!session) {
+      session = {
+        currentStep: "welcome",
+        userData: {},
+        history: [],
+        retries: {},
+        requestId: null
+      };
+      await this.sessions.set(userId, session);
+    }
+    return session;
+  }
+
+  async saveSession(userId, session) {
+    await this.sessions.set(userId, session);
+  }
+
+  // Save the answers of the current flow run on its request (created on the first answer)
+  async saveRequest(userId, session) {
+    session.requestId = await dbHelpers.saveRequest(session.requestId, userId, session.userData);
+    return session.requestId;
+  }
+
+  // A flow run is complete on the end step, or on a step leading straight to it
+  // (the confirmation sent before the end)
+  isFinalStep(step) {
+    if (step.type === 'end') return true;
+    const next = typeof step.next === 'string' ? this.getStep(step.next) : null;
+    return !!next && next.type === 'end';
+  }
+
+  // Hot-swap the flow (e.g. after an edit in the admin panel)
+  setFlow(flowConfig) {
+    const errors = validateFlow(flowConfig);
+    if (errors.length > 0) {
+      throw new Error(`Invalid flow: ${errors.join('; ')}`);
+    }
+    this.flow = flowConfig;
+  }
+
+  getStep(stepId) {
+    return this.flow.steps.find(s => s.id === stepId);
+  }
+
+  // Localize a step text and fill in {{placeholders}}
+  interpolate(text, userData, locale = DEFAULT_LOCALE) {
+    const rtl = isRtl(locale);
+    const result = localize(text, locale).replace(/\{\{(\w+)\}\}/g, (match, key) => {
+      const value = userData[key] || '';
+      // Isolate customer values (often Latin) inside Arabic sentences
+      return rtl && value ? FSI + value + PDI : value;
+    });
+    return rtl ? RLM + result : result;
+  }
+
+  // Text, buttons (or list) and type of a step in the user's locale
+  renderStep(step, userData, locale) {
+    return this.createResponse(
+      this.interpolate(step.text, userData, locale),
+      localizeButtons(step.buttons, locale),
+      step.type,
+      step.type === 'list' ? localizeList(step, locale) : null
+    );
+  }
+
+  // List of the phones in stock matching the customer's brand and budget
+  // (null when none match, the flow then goes to the step's fallback)
+  async renderProductsStep(step, userData, locale, text = null) {
+    const budget = userData.normalized && userData.normalized.budget;
+    const products = await dbHelpers.findProducts({
+      brand: userData.brand || null,
+      maxPrice: typeof budget === 'number' ? Math.round(budget * BUDGET_TOLERANCE) : null,
+      limit: MAX_LIST_ROWS - 1
+    });
+    if (products.length === 0) return null;
+
+    return this.createResponse(
+      text || this.interpolate(step.text, userData, locale),
+      null,
+      step.type,
+      {
+        button: localize(step.button, locale),
+        sections: [{
+          rows: [
+            ...products.map(product => productRow(product, locale)),
+            { id: NO_PRODUCT_ROW_ID, title: BOT_MESSAGES[locale].noProductFits }
+          ]
+        }]
+      }
+    );
+  }
+
+  // Price the customer's phone, save the quote and show it ({{quote}})
+  // (null when it cannot be priced, the flow then goes to the step's fallback)
+  async renderQuoteStep(userId, step, session, locale) {
+    const quote = await QUOTE_ENGINES[step.quote](session.userData);
+    if (!quote) return null;
+
+    const requestId = session.requestId || await this.saveRequest(userId, session);
+    const version = await dbHelpers.saveQuote(requestId, userId, { kind: step.quote, ...quote });
+    log(`💶 ${step.quote} quote v${version} for ${userId} (request #${requestId}): ${formatPriceRange(quote)}`);
+    return this.renderStep(step, { ...session.userData, ...quoteVariables(quote, locale) }, locale);
+  }
+
+  // List of the next free appointment slots
+  // (null when the agenda is full, the flow then goes to the step's fallback)
+  async renderSlotsStep(step, userData, locale, text = null) {
+    const slots = await getAvailableSlots({ limit: MAX_LIST_ROWS - 1 });
+    if (slots.length === 0) return null;
+
+    const sections = slotSections(slots, locale);
+    sections[sections.length - 1].rows.push({ id: NO_SLOT_ROW_ID, title: BOT_MESSAGES[locale].noSlotFits });
+    return this.createResponse(
+      text || this.interpolate(step.text, userData, locale),
+      null,
+      step.type,
+      { button: localize(step.button, locale), sections }
+    );
+  }
+
+  // Response of a step on arrival, null when a data step has nothing to show
+  async renderStepFor(userId, step, session, locale) {
+    if (step.type === 'products') return this.renderProductsStep(step, session.userData, locale);
+    if (step.type === 'slots') return this.renderSlotsStep(step, session.userData, locale);
+    if (step.type === 'quote') return this.renderQuoteStep(userId, step, session, locale);
+    return this.renderStep(step, session.userData, locale);
+  }
+
+  // Reserve the phone picked on a "products" step, null when it is gone
+  async pickProduct(userId, rowId, requestId) {
+    const productId = rowId.startsWith(PRODUCT_ROW_PREFIX) ? Number(rowId.slice(PRODUCT_ROW_PREFIX.length)) : null;
+    const product = productId ? await dbHelpers.reserveProduct(productId, userId, requestId) : null;
+    if (!product) return null;
+
+    log(`📦 ${userId} reserved product #${product.id} (${productLabel(product)})`);
+    return { input: `${productLabel(product)} (${formatPrice(product.price)})`, value: product.id };
+  }
+
+  // Book the slot picked on a "slots" step, null when it is no longer free
+  async pickSlot(userId, rowId, locale, requestId) {
+    const startsAt = rowId.startsWith(SLOT_ROW_PREFIX) ? rowId.slice(SLOT_ROW_PREFIX.length) : null;
+    const slot = startsAt && (await getAvailableSlots({ perDay: Infinity })).find(s => s.startsAt === startsAt);
+    if (!slot || !await dbHelpers.bookAppointment(userId, requestId, slot.startsAt, slot.capacity)) return null;
+
+    log(`📅 ${userId} booked an appointment on ${slot.startsAt}`);
+    return { input: formatAppointment(slot.date, locale), value: slot.startsAt };
+  }
+
+  // Answer to a "products" / "slots" list: { input, value } when the row was booked,
+  // { fallback: true } when the customer wants none of them (or none is left),
+  // { retry: response } to offer the list again
+  async pickDataRow(userId, step, rowId, session, locale) {
+    const noneRowId = step.type === 'products' ? NO_PRODUCT_ROW_ID : NO_SLOT_ROW_ID;
+    if (rowId === noneRowId) return { fallback: true };
+
+    const requestId = session.requestId || await this.saveRequest(userId, session);
+    const picked = rowId && (step.type === 'products'
+      ? await this.pickProduct(userId, rowId, requestId)
+      : await this.pickSlot(userId, rowId, locale, requestId));
+    if (picked) return picked;
+
+    const retryText = BOT_MESSAGES[locale][step.type === 'products' ? 'productUnavailable' : 'slotUnavailable'];
+    const retry = step.type === 'products'
+      ? await this.renderProductsStep(step, session.userData, locale, retryText)
+      : await this.renderSlotsStep(step, session.userData, locale, retryText);
+    return retry ? { retry } : { fallback: true };
+  }
+
+  // Match the answer to a choice id: the id itself (button/list reply)
+  // or a typed title, in any language
+  matchChoice(step, messageText) {
+    const answer = messageText.trim().toLowerCase();
+    const options = step.type === 'list' ? getListRows(step) : step.buttons;
+
+    const option = options.find(opt => opt.id === messageText) ||
+      options.find(opt => opt.id.toLowerCase() === answer) ||
+      options.find(opt => {
+        const titles = typeof opt.title === 'string' ? [opt.title] : Object.values(opt.title || {});
+        return titles.some(title => title.toLowerCase() === answer ||
+          title.replace(/^[^\p{L}\p{N}]+/u, '').toLowerCase() === answer);
+      });
+    return option ? option.id : null;
+  }
+
+  // media: { type, ref, ... } for photos, voice notes, documents, locations and contacts
+  async handleMessage(userId, messageText, media = null) {
+    // Save user
+    await dbHelpers.saveUser(userId);
+
+    // Save incoming message
+    await dbHelpers.saveMessage(userId, 'incoming', messageText, null, media);
+
+    const command = media ? '' : messageText.trim().toLowerCase();
+
+    // An agent owns the conversation: no auto-reply until the customer types 'menu'
+    const { chat_mode: chatMode } = await dbHelpers.getChatMode(userId);
+    if (chatMode === 'human') {
+      if (!RESET_COMMANDS.includes(command)) return null;
+      await changeChatMode(userId, 'bot');
+    }
+
+    // Language picker
+    if (LANGUAGE_COMMANDS.includes(command)) {
+      return this.createResponse(BOT_MESSAGES[DEFAULT_LOCALE].chooseLanguage, localizeButtons(LANGUAGE_BUTTONS), "button");
+    }
+    const pickedLanguage = !media && LANGUAGE_BUTTONS.find(btn => btn.id === messageText);
+    if (pickedLanguage) {
+      await dbHelpers.setUserLocale(userId, pickedLanguage.locale);
+      await this.resetSession(userId);
+      return this.startConversation(userId, pickedLanguage.locale);
+    }
+
+    // First message: detect the language
+    let locale = await dbHelpers.getUserLocale(userId);
+    if (!locale) {
+      locale = detectLocale(messageText) || DEFAULT_LOCALE;
+      await dbHelpers.setUserLocale(userId, locale);
+    }
+
+    // Talk to an advisor
+    if (!media && isHandoffCommand(messageText)) {
+      await changeChatMode(userId, 'human');
+      const text = BOT_MESSAGES[locale].handoffStarted;
+      await dbHelpers.saveMessage(userId, 'outgoing', text, 'handoff');
+      return this.createResponse(text);
+    }
+
+    // Status of the customer's requests, the conversation stays where it was
+    if (!media && isTrackingCommand(messageText)) {
+      const text = await describeOpenRequests(userId, locale);
+      await dbHelpers.saveMessage(userId, 'outgoing', text, 'tracking');
+      return this.createResponse(text);
+    }
+
+    // Reset command
+    if (RESET_COMMANDS.includes(command)) {
+      await this.resetSession(userId);
+      return this.startConversation(userId, locale);
+    }
+
+    const session = await this.getSession(userId);
+    const currentStep = this.getStep(session.currentStep);
+
+    if (!currentStep) {
+      return this.createResponse(BOT_MESSAGES[locale].stepNotFound);
+    }
+
+    // Button and list steps only accept one of their choices
+    const choices = getStepChoices(currentStep);
+    let choice = null;
+    if (choices) {
+      choice = media ? null : this.matchChoice(currentStep, messageText);
+      if (!choice) {
+        return this.createResponse(
+          BOT_MESSAGES[locale].invalidOption,
+          localizeButtons(currentStep.buttons, locale),
+          currentStep.type,
+          currentStep.type === 'list' ? localizeList(currentStep, locale) : null
+        );
+      }
+    }
+
+    // Product and slot lists: book the picked row, or go to the fallback when none fits
+    let picked = null;
+    if (PICK_STEP_TYPES.includes(currentStep.type)) {
+      picked = await this.pickDataRow(userId, currentStep, media ? null : messageText, session, locale);
+      if (picked.retry) {
+        await this.saveSession(userId, session);
+        return picked.retry;
+      }
+    }
+
+    // What the step expects: a choice, a photo, a location or text
+    let input = choice || messageText;
+    let normalizedValue;
+    if (picked) {
+      input = picked.fallback ? null : picked.input;
+      normalizedValue = picked.value;
+    }
+    const expectedMedia = MEDIA_STEP_TYPES[currentStep.type];
+    if (expectedMedia) {
+      if (media && media.type === expectedMedia) {
+        input = media.ref;
+      } else if (currentStep.optional) {
+        input = null;
+      } else {
+        const expected = expectedMedia === 'image' ? 'photoExpected' : 'locationExpected';
+        return this.createResponse(localize(currentStep.error, locale) || BOT_MESSAGES[locale][expected]);
+      }
+    } else if (media && currentStep.type === "input" && !media.caption) {
+      return this.createResponse(localize(currentStep.error, locale) || BOT_MESSAGES[locale].textExpected);
+    }
+
+    // Validate the answer, ask again until the retries are used up
+    if (currentStep.validate) {
+      const result = validateInput(input, currentStep.validate);
+      session.retries = session.retries || {};
+
+      if (result.valid) {
+        normalizedValue = result.value;
+      } else {
+        const attempts = (session.retries[currentStep.id] || 0) + 1;
+        if (attempts <= (currentStep.retries ?? DEFAULT_RETRIES)) {
+          session.retries[currentStep.id] = attempts;
+          await this.saveSession(userId, session);
+          const errorText = localize(currentStep.error, locale) || BOT_MESSAGES[locale].invalidInput;
+          await dbHelpers.saveMessage(userId, 'outgoing', errorText, currentStep.id);
+          return this.createResponse(errorText);
+        }
+        // Out of retries: keep the raw answer so the customer is not stuck
+        normalizedValue = null;
+      }
+      delete session.retries[currentStep.id];
+    }
+
+    // Store user input
+    if (currentStep.store && input !== null) {
+      session.userData[currentStep.store] = input;
+      if (normalizedValue !== undefined) {
+        session.userData.normalized = {
+          ...session.userData.normalized,
+          [currentStep.store]: normalizedValue
+        };
+      }
+      
+      // Store intent if defined
+      if (currentStep.intent && !session.userData.intent) {
+        session.userData.intent = currentStep.intent;
+      }
+
+      session.history.push({
+        step: currentStep.id,
+        input,
+        timestamp: new Date()
+      });
+
+      // Save to database
+      await this.saveRequest(userId, session);
+    }
+
+    // Determine next step
+    let nextStepId;
+    if (choice && typeof currentStep.next === "object") {
+      nextStepId = currentStep.next[choice];
+      
+      // Store button intent
+      if (INTENTS.includes(choice)) {
+        session.userData.intent = choice;
+        await this.saveRequest(userId, session);
+      }
+    } else if (picked && picked.fallback) {
+      nextStepId = currentStep.fallback;
+    } else {
+      nextStepId = currentStep.next;
+    }
+
+    // Message after the end of the flow: start again
+    let nextStep = this.getStep(nextStepId);
+    if (!nextStep) {
+      await this.resetSession(userId);
+      return this.startConversation(userId, locale);
+    }
+
+    let response = await this.renderStepFor(userId, nextStep, session, locale);
+    if (!response) {
+      nextStepId = nextStep.fallback;
+      nextStep = this.getStep(nextStepId);
+      response = this.renderStep(nextStep, session.userData, locale);
+    }
+
+    if (session.requestId && this.isFinalStep(nextStep)) {
+      await dbHelpers.completeRequest(session.requestId);
+    }
+
+    session.currentStep = nextStepId;
+    await this.saveSession(userId, session);
+    
+    // Save outgoing message
+    await dbHelpers.saveMessage(userId, 'outgoing', response.text, nextStepId);
+
+    return response;
+  }
+
+  createResponse(text, buttons = null, type = "message", list = null) {
+    const response = { text };
+    if (list) {
+      response.list = list;
+      response.type = "interactive";
+    } else if (buttons && buttons.length > 0) {
+      response.buttons = buttons;
+      response.type = "interactive";
+    } else {
+      response.type = type === "end" ? "end" : "text";
+    }
+    return response;
+  }
+
+  async startConversation(userId, locale = DEFAULT_LOCALE) {
+    const session = await this.getSession(userId);
+    session.currentStep = "welcome";
+    await this.saveSession(userId, session);
+    const welcomeStep = this.getStep("welcome");
+    return this.renderStep(welcomeStep, session.userData, locale);
+  }
+
+  getSessionData(userId) {
+    return this.sessions.get(userId);
+  }
+
+  resetSession(userId) {
+    return this.sessions.delete(userId);
+  }
+}
+
+// ==========================================
+// WHATSAPP API HELPER
+// ==========================================
+
+async function sendWhatsAppMessage(to, response) {
+  const token = process.env.WHATSAPP_TOKEN;
+  const phoneNumberId = process.env.WHATSAPP_PHONE_ID;
+
+  let payload;
+
+  if (response.type === "interactive" && response.list) {
+    payload = {
+      messaging_product: "whatsapp",
+      to: to,
+      type: "interactive",
+      interactive: {
+        type: "list",
+        body: { text: response.text },
+        action: {
+          button: response.list.button,
+          sections: response.list.sections.map(section => ({
+            ...(section.title ? { title: section.title } : {}),
+            rows: section.rows.map(row => ({
+              id: row.id,
+              title: row.title,
+              ...(row.description ? { description: row.description } : {})
+            }))
+          }))
+        }
+      }
+    };
+  } else if (response.type === "interactive" && response.buttons) {
+    payload = {
+      messaging_product: "whatsapp",
+      to: to,
+      type: "interactive",
+      interactive: {
+        type: "button",
+        body: { text: response.text },
+        action: {
+          buttons: response.buttons.map(btn => ({
+            type: "reply",
+            reply: { id: btn.id, title: btn.title }
+          }))
+        }
+      }
+    };
+  } else {
+    payload = {
+      messaging_product: "whatsapp",
+      to: to,
+      type: "text",
+      text: { body: response.text }
+    };
+  }
+
+  try {
+    const result = await axios.post(
+      `https://graph.facebook.com/v17.0/${phoneNumberId}/messages`,
+      payload,
+      {
+        headers: {
+          'Authorization': `Bearer ${token}`,
+          'Content-Type': 'application/json'
+        }
+      }
+    );
+    return result.data;
+  } catch (error) {
+    console.error('Error sending WhatsApp message:', error.response?.data || error.message);
+    throw error;
+  }
+}
+
+// Every message of a webhook payload (Meta batches entries, changes and messages)
+function extractWebhookMessages(body) {
+  const messages = [];
+  (body?.entry || []).forEach(entry => {
+    (entry.changes || []).forEach(change => {
+      (change.value?.messages || []).forEach(message => messages.push(message));
+    });
+  });
+  return messages;
+}
+
+// Media sent by customers is stored in media/ (file name kept in conversations.media_ref)
+const MEDIA_DIR = path.join(__dirname, 'media');
+const DOWNLOADED_MEDIA_TYPES = ['image', 'audio', 'document'];
+
+const MEDIA_EXTENSIONS = {
+  'image/jpeg': '.jpg',
+  'image/png': '.png',
+  'image/webp': '.webp',
+  'audio/ogg': '.ogg',
+  'audio/mpeg': '.mp3',
+  'audio/mp4': '.m4a',
+  'audio/aac': '.aac',
+  'audio/amr': '.amr',
+  'application/pdf': '.pdf'
+};
+
+// Labels saved as message text when a media has no caption
+const MEDIA_LABELS = {
+  image: '📷 Photo',
+  audio: '🎤 Message vocal',
+  document: '📄 Document',
+  location: '📍 Position',
+  contacts: '👤 Contact'
+};
+
+// Download a media through the Graph API, resolves with the saved file name
+async function downloadWhatsAppMedia(mediaId, originalName = null) {
+  const headers = { 'Authorization': `Bearer ${process.env.WHATSAPP_TOKEN}` };
+
+  // 1. Get the temporary download URL, 2. download the file with the same token
+  const info = await axios.get(`https://graph.facebook.com/v17.0/${mediaId}`, { headers });
+  const file = await axios.get(info.data.url, { headers, responseType: 'arraybuffer' });
+
+  const extension = MEDIA_EXTENSIONS[info.data.mime_type] ||
+    (originalName ? path.extname(originalName) : '') ||
+    '.bin';
+  const fileName = `${String(mediaId).replace(/[^\w-]/g, '')}${extension.replace(/[^\w.]/g, '')}`;
+
+  await fs.promises.mkdir(MEDIA_DIR, { recursive: true });
+  await fs.promises.writeFile(path.join(MEDIA_DIR, fileName), file.data);
+  return { fileName, mimeType: info.data.mime_type };
+}
+
+// Short text for a WhatsApp message (button id, text or media label)
+function describeMessage(message) {
+  if (message.type === "interactive") {
+    return message.interactive?.button_reply?.id ?? message.interactive?.list_reply?.id ?? null;
+  }
+  if (message.type === "text") {
+    return message.text.body;
+  }
+  return MEDIA_LABELS[message.type] || null;
+}
+
+// What the bot receives for a WhatsApp message: { text, media } (null if unsupported)
+async function readIncomingMessage(message) {
+  if (message.type === "interactive" || message.type === "text") {
+    const text = describeMessage(message);
+    return text === null ? null : { text, media: null };
+  }
+
+  if (DOWNLOADED_MEDIA_TYPES.includes(message.type)) {
+    const content = message[message.type];
+    const { fileName, mimeType } = await downloadWhatsAppMedia(content.id, content.filename);
+    return {
+      text: content.caption || content.filename || MEDIA_LABELS[message.type],
+      media: { type: message.type, ref: fileName, mimeType, caption: content.caption || null }
+    };
+  }
+
+  if (message.type === "location") {
+    const { latitude, longitude, name, address } = message.location;
+    return {
+      text: [name, address].filter(Boolean).join(', ') || MEDIA_LABELS.location,
+      media: { type: 'location', ref: `${latitude},${longitude}` }
+    };
+  }
+
+  if (message.type === "contacts") {
+    const text = message.contacts.map(contact => {
+      const phones = (contact.phones || []).map(phone => phone.phone).join(', ');
+      return `${contact.name?.formatted_name || ''} ${phones}`.trim();
+    }).join('\n');
+    return {
+      text: text || MEDIA_LABELS.contacts,
+      media: { type: 'contacts', ref: null }
+    };
+  }
+
+  return null;
+}
+
+// ==========================================
+// JOB QUEUE
+// ==========================================
+
+/*
+The webhook only stores incoming messages in the "jobs" table and
+answers 200 right away. The worker below then, for each job:
+  1. runs the message through the bot (once, the answer is kept on the job,
+     and in memory until then so a failed save does not run the bot twice)
+  2. sends the answer, retrying with backoff (5s, 10s, 20s, 40s)
+Each user's jobs run one at a time, in order. After MAX_JOB_ATTEMPTS
+the job goes to "dead_letters", visible in /admin/queue.
+A job being processed holds a lease (next_attempt_at): if its status
+cannot be written back after a failure, it is picked up again once the
+lease expires instead of blocking the user's later messages.
+*/
+
+const QUEUE_POLL_INTERVAL_MS = 1000;
+const QUEUE_BATCH_SIZE = 10;
+const MAX_JOB_ATTEMPTS = 5;
+const RETRY_BASE_DELAY_MS = 5000;
+const JOB_LEASE_MS = 5 * 60 * 1000;
+
+let queueTimer = null;
+let queueRunning = false;
+// Bot answers by job id (null when the bot had nothing to send), until the job leaves the queue
+const jobResponses = new Map();
+
+// Store an incoming message (skipped if Meta already delivered it)
+async function enqueueIncomingMessage(message) {
+  if (message.id && !(await dbHelpers.claimMessage(message.id, message.from))) {
+    log(`♻️ Duplicate message ${message.id} from ${message.from} skipped`);
+    return null;
+  }
+
+  try {
+    const jobId = await dbHelpers.enqueueJob(message.from, message.id, message);
+    wakeQueueWorker();
+    return jobId;
+  } catch (error) {
+    // Not queued: let Meta's retry deliver it again
+    if (message.id) await dbHelpers.releaseMessage(message.id);
+    throw error;
+  }
+}
+
+// Run one message through the bot, resolves with the answer (null if none)
+async function handleIncomingMessage(message) {
+  const userId = message.from;
+  const incoming = await readIncomingMessage(message);
+
+  if (incoming === null) {
+    log(`⚠️ Unsupported message type: ${message.type}`);
+    return null;
+  }
+  if (message.type === "interactive") {
+    log(`👆 ${message.interactive.type === 'list_reply' ? 'List row' : 'Button'} clicked: ${incoming.text}`);
+  } else if (incoming.media) {
+    log(`📎 ${message.type} received: ${incoming.media.ref || incoming.text}`);
+  } else {
+    log(`💬 Text received: ${incoming.text}`);
+  }
+
+  const response = await bot.handleMessage(userId, incoming.text, incoming.media);
+  log('🤖 Bot response:', response);
+  return response;
+}
+
+async function processJob(job) {
+  await dbHelpers.updateJob(job.id, {
+    status: 'processing',
+    next_attempt_at: new Date(Date.now() + JOB_LEASE_MS).toISOString()
+  });
+
+  try {
+    let response;
+    if (jobResponses.has(job.id)) {
+      response = jobResponses.get(job.id);
+    } else if (job.response) {
+      response = JSON.parse(job.response);
+    } else {
+      response = await handleIncomingMessage(JSON.parse(job.payload));
+      jobResponses.set(job.id, response);
+      if (response) {
+        await dbHelpers.updateJob(job.id, { response: JSON.stringify(response) });
+      }
+    }
+
+    if (response) {
+      await sendWhatsAppMessage(job.user_phone, response);
+      log('✅ Message sent successfully');
+    }
+    await dbHelpers.deleteJob(job.id);
+    jobResponses.delete(job.id);
+  } catch (error) {
+    const attempts = job.attempts + 1;
+    const message = error.response?.data ? JSON.stringify(error.response.data) : error.message;
+    // Saved again with the retry, in case saving it after the bot run is what failed
+    const response = jobResponses.get(job.id);
+    if (response) job.response = JSON.stringify(response);
+
+    if (attempts >= MAX_JOB_ATTEMPTS) {
+      await dbHelpers.moveJobToDeadLetters(job, message, attempts);
+      jobResponses.delete(job.id);
+      console.error(`☠️ Job ${job.id} (${job.user_phone}) failed ${attempts} times, moved to dead letters:`, message);
+      return;
+    }
+
+    const delay = RETRY_BASE_DELAY_MS * 2 ** (attempts - 1);
+    await dbHelpers.updateJob(job.id, {
+      status: 'pending',
+      attempts,
+      last_error: message,
+      response: job.response,
+      next_attempt_at: new Date(Date.now() + delay).toISOString()
+    });
+    console.warn(`🔁 Job ${job.id} (${job.user_phone}) failed, retry ${attempts}/${MAX_JOB_ATTEMPTS - 1} in ${delay / 1000}s:`, message);
+  }
+}
+
+async function runQueue() {
+  if (queueRunning) return;
+  queueRunning = true;
+
+  try {
+    let jobs;
+    let failed;
+    do {
+      jobs = await dbHelpers.getDueJobs(QUEUE_BATCH_SIZE);
+      failed = 0;
+      await Promise.all(jobs.map(job => processJob(job).catch(error => {
+        failed++;
+        console.error(`❌ Job ${job.id} could not be updated, retried when its lease expires:`, error);
+      })));
+      // Nothing went through (database down?): wait for the next poll instead of spinning
+    } while (jobs.length > failed);
+  } catch (error) {
+    console.error('❌ Queue error:', error);
+  } finally {
+    queueRunning = false;
+    queueTimer = setTimeout(runQueue, QUEUE_POLL_INTERVAL_MS);
+  }
+}
+
+// Process new jobs now instead of waiting for the next poll
+function wakeQueueWorker() {
+  if (queueRunning || !queueTimer) return;
+  clearTimeout(queueTimer);
+  queueTimer = setTimeout(runQueue, 0);
+}
+
+async function startQueueWorker() {
+  const recovered = await dbHelpers.resetProcessingJobs();
+  if (recovered > 0) {
+    log(`♻️ ${recovered} interrupted jobs put back in the queue`);
+  }
+  queueTimer = setTimeout(runQueue, 0);
+}
+
+// ==========================================
+// REPAIR TICKETS
+// ==========================================
+
+/*
+Completed repair requests (requests rows with intent 'repair') follow the statuses
+below ("label" in the admin, "tracking" for customers asking for their
+status), moved by staff from /admin/tickets. Each change is logged in
+status_changes and the customer gets the status message on WhatsApp
+({{placeholders}} as in flow texts, plus {{quote}}).
+
+WhatsApp only delivers free-form messages within 24h of the customer's
+last message; later notifications fail and are shown as not sent.
+*/
+
+const TICKET_STATUSES = {
+  pending: {
+    label: 'En attente du dépôt',
+    tracking: { fr: 'En attente de dépôt', ar: 'كنتسناو تجيبو', en: 'Waiting for drop-off' }
+  },
+  received: {
+    label: 'Reçu',
+    tracking: { fr: 'Reçu en atelier', ar: 'توصلنا بيه', en: 'Received' },
+    message: {
+      fr: "📥 Nous avons bien reçu votre {{brand}} {{model}}. Nos techniciens vont l'examiner.",
+      ar: '📥 توصلنا ب {{brand}} {{model}} ديالك. التقنيين ديالنا غادي يشوفوه.',
+      en: '📥 We have received your {{brand}} {{model}}. Our technicians will look at it.'
+    }
+  },
+  diagnosing: {
+    label: 'Diagnostic en cours',
+    tracking: { fr: 'Diagnostic en cours', ar: 'الفحص جاري', en: 'Being diagnosed' },
+    message: {
+      fr: '🔍 Diagnostic en cours pour votre {{brand}} {{model}}.',
+      ar: '🔍 كنديرو الفحص ديال {{brand}} {{model}} ديالك.',
+      en: '🔍 Your {{brand}} {{model}} is being diagnosed.'
+    }
+  },
+  waiting_parts: {
+    label: 'En attente de pièces',
+    tracking: { fr: 'En attente de pièces', ar: 'كنتسناو القطع', en: 'Waiting for parts' },
+    message: {
+      fr: '📦 Nous attendons les pièces pour réparer votre {{brand}} {{model}}. Nous vous tenons informé.',
+      ar: '📦 كنتسناو القطع باش نصلحو {{brand}} {{model}} ديالك. غادي نعلموك.',
+      en: "📦 We're waiting for parts to repair your {{brand}} {{model}}. We'll keep you posted."
+    }
+  },
+  repaired: {
+    label: 'Réparé',
+    tracking: { fr: 'Réparé, tests en cours', ar: 'تصلح، كنديرو التجارب', en: 'Repaired, final checks' },
+    message: {
+      fr: '🛠️ Votre {{brand}} {{model}} est réparé ! Derniers tests en cours.',
+      ar: '🛠️ {{brand}} {{model}} ديالك تصلح! كنديرو آخر التجارب.',
+      en: '🛠️ Your {{brand}} {{model}} is repaired! Final checks in progress.'
+    }
+  },
+  ready: {
+    label: 'Prêt à récupérer',
+    tracking: { fr: 'Prêt à récupérer', ar: 'واجد تاخدو', en: 'Ready for pickup' },
+    message: {
+      fr: '✅ Votre {{brand}} {{model}} est prêt ! Vous pouvez passer le récupérer en boutique.\n💰 Montant : {{quote}}',
+      ar: '✅ {{brand}} {{model}} ديالك واجد! تقدر تدوز تاخدو من المحل.\n💰 المبلغ: {{quote}}',
+      en: '✅ Your {{brand}} {{model}} is ready! You can pick it up in store.\n💰 Amount: {{quote}}'
+    }
+  },
+  delivered: {
+    label: 'Livré',
+    tracking: { fr: 'Livré', ar: 'تسلم', en: 'Delivered' },
+    message: {
+      fr: '🙏 Merci de votre confiance ! Votre {{brand}} {{model}} vous a été remis. À bientôt chez SmartFix Mobile.',
+      ar: '🙏 شكرا على الثقة ديالك! تسلمتي {{brand}} {{model}} ديالك. نشوفوك قريب ف SmartFix Mobile.',
+      en: '🙏 Thanks for your trust! Your {{brand}} {{model}} has been handed back. See you soon at SmartFix Mobile.'
+    }
+  }
+};
+
+// Statuses a ticket can move to: only forward, skipping steps is allowed
+function nextTicketStatuses(ticket) {
+  if (ticket.intent !== 'repair') return [];
+  const statuses = Object.keys(TICKET_STATUSES);
+  return statuses.slice(statuses.indexOf(ticket.status || 'pending') + 1);
+}
+
+// Why a request cannot move to this status, null if it can
+function ticketTransitionError(ticket, status) {
+  if (ticket.intent !== 'repair') return `Request #${ticket.id} is not a repair ticket`;
+  if (!nextTicketStatuses(ticket).includes(status)) {
+    return `Ticket #${ticket.id} cannot move from ${ticket.status || 'pending'} to ${status}`;
+  }
+  return null;
+}
+
+// Move a repair ticket (checked with ticketTransitionError) and notify the customer,
+// resolves with { phone, notified, error }
+async function changeTicketStatus(ticket, status, staffUsername) {
+  const requestId = ticket.id;
+  const userPhone = ticket.user_phone;
+  const changeId = await dbHelpers.setTicketStatus(requestId, userPhone, ticket.status, status, staffUsername);
+  log(`🎫 ${staffUsername} moved ticket #${requestId} of ${userPhone}: ${ticket.status} → ${status}`);
+
+  const template = TICKET_STATUSES[status].message;
+  if (!template) return { phone: userPhone, notified: false, error: null };
+
+  const locale = await dbHelpers.getUserLocale(userPhone) || DEFAULT_LOCALE;
+  const quote = ticket.quote_status ? formatPriceRange({ low: ticket.quote_low, high: ticket.quote_high }) : '-';
+  const text = bot.interpolate(template, { ...ticket, quote }, locale);
+  try {
+    await sendWhatsAppMessage(userPhone, { type: 'text', text });
+    await dbHelpers.saveMessage(userPhone, 'outgoing', text, `ticket:${status}`);
+    await dbHelpers.markStatusChangeNotified(changeId);
+    return { phone: userPhone, notified: true, error: null };
+  } catch (error) {
+    return { phone: userPhone, notified: false, error: error.response?.data?.error?.message || error.message };
+  }
+}
+
+// ==========================================
+// REQUEST TRACKING
+// ==========================================
+
+/*
+Customers type "suivi" (or ask "où en est ma réparation ?") at any point
+of the conversation: the bot lists their open requests with status, quote
+and expected date, without touching the conversation state.
+*/
+
+const TRACKING_COMMANDS = ['suivi', 'statut', 'status', 'tracking', 'track', 'تتبع', 'التتبع'];
+const TRACKING_PATTERNS = [/\bou en est\b/, /\bwhere is my\b/, /فين وصل/];
+
+// Sell and buy requests stay listed this many days after the customer sent them
+// (repairs until they are delivered)
+const OPEN_REQUEST_DAYS = 30;
+
+const TRACKING_MESSAGES = {
+  fr: {
+    header: '📦 Vos demandes en cours ({{count}}) :',
+    none: "📦 Vous n'avez aucune demande en cours.",
+    footer: "Tapez 'menu' pour revenir au menu.",
+    repair: '🔧 Réparation {{device}}',
+    sell: '💰 Reprise {{device}}',
+    buy: '🛒 Achat {{device}}',
+    reservation: '🛍️ Réservation {{device}}',
+    appointment: '📅 Rendez-vous {{date}}',
+    status: 'Statut : {{status}}',
+    quote: 'Devis : {{quote}}',
+    price: 'Prix : {{price}}',
+    expected: 'Date prévue : {{date}}',
+    pickupBefore: 'À récupérer avant : {{date}}',
+    searching: 'Un conseiller vous contactera',
+    estimate: 'estimation',
+    confirmed: 'confirmé'
+  },
+  ar: {
+    header: '📦 الطلبات ديالك اللي باقة جارية ({{count}}):',
+    none: '📦 ما عندك حتى طلب جاري.',
+    footer: "كتب 'menu' باش ترجع للقائمة.",
+    repair: '🔧 إصلاح {{device}}',
+    sell: '💰 بيع {{device}}',
+    buy: '🛒 شراء {{device}}',
+    reservation: '🛍️ حجز {{device}}',
+    appointment: '📅 موعد {{date}}',
+    status: 'الحالة: {{status}}',
+    quote: 'الثمن: {{quote}}',
+    price: 'الثمن: {{price}}',
+    expected: 'التاريخ المتوقع: {{date}}',
+    pickupBefore: 'خاصك تاخدو قبل: {{date}}',
+    searching: 'شي مستشار غادي يتاصل بيك',
+    estimate: 'تقريبي',
+    confirmed: 'مأكد'
+  },
+  en: {
+    header: '📦 Your open requests ({{count}}):',
+    none: "📦 You don't have any open request.",
+    footer: "Type 'menu' to go back to the menu.",
+    repair: '🔧 Repair {{device}}',
+    sell: '💰 Trade-in {{device}}',
+    buy: '🛒 Purchase {{device}}',
+    reservation: '🛍️ Reservation {{device}}',
+    appointment: '📅 Appointment {{date}}',
+    status: 'Status: {{status}}',
+    quote: 'Quote: {{quote}}',
+    price: 'Price: {{price}}',
+    expected: 'Expected: {{date}}',
+    pickupBefore: 'Pick up before: {{date}}',
+    searching: 'An advisor will contact you',
+    estimate: 'estimate',
+    confirmed: 'confirmed'
+  }
+};
+
+function isTrackingCommand(text) {
+  const simplified = simplifyText(text);
+  return TRACKING_COMMANDS.includes(simplified) || TRACKING_PATTERNS.some(pattern => pattern.test(simplified));
+}
+
+// SQLite CURRENT_TIMESTAMP ('YYYY-MM-DD HH:MM:SS', UTC) -> Date
+function parseDbTimestamp(value) {
+  return new Date(value.replace(' ', 'T') + 'Z');
+}
+
+// Open requests of a customer: [{ title, lines }] (title and lines are [template key, values])
+async function getOpenRequests(userPhone, locale) {
+  const requests = (await dbHelpers.getUserRequests(userPhone)).filter(request => request.completed_at).reverse();
+  const reservations = await dbHelpers.getOpenReservations(userPhone);
+  const appointments = await dbHelpers.getUpcomingAppointments(userPhone, toLocalDateTime(new Date()));
+  const recentSince = Date.now() - OPEN_REQUEST_DAYS * 24 * 60 * 60 * 1000;
+  const entries = [];
+
+  for (const request of requests) {
+    const device = [request.brand, request.model].filter(Boolean).join(' ');
+    const recent = parseDbTimestamp(request.completed_at).getTime() >= recentSince;
+    const quoteLines = request.quote_status ? [['quote', {
+      quote: `${formatPriceRange({ low: request.quote_low, high: request.quote_high })} (${TRACKING_MESSAGES[locale][request.quote_status === 'confirmed' ? 'confirmed' : 'estimate']})`
+    }]] : [];
+
+    if (request.intent === 'repair' && request.status !== 'delivered') {
+      const status = TICKET_STATUSES[request.status] || TICKET_STATUSES.pending;
+      const lines = [['status', { status: localize(status.tracking, locale) }], ...quoteLines];
+
+      // Expected date: drop-off + turnaround of the latest repair quote
+      const received = (await dbHelpers.getStatusChanges(request.id)).find(change => change.to_status === 'received');
+      const repairQuote = await dbHelpers.getLatestQuote(request.id);
+      if (received && repairQuote && repairQuote.kind === 'repair' && request.status !== 'ready') {
+        const expected = new Date(parseDbTimestamp(received.created_at).getTime() + repairQuote.details.turnaround_hours * 60 * 60 * 1000);
+        lines.push(['expected', { date: formatAppointment(expected, locale) }]);
+      }
+      // Drop-off appointments only matter until the phone is received
+      const dropOffs = appointments.filter(appointment => appointment.request_id === request.id);
+      if (!request.status || request.status === 'pending') {
+        dropOffs.forEach(appointment => {
+          lines.push(['appointment', { date: formatAppointment(parseLocalDateTime(appointment.starts_at), locale) }]);
+        });
+      }
+      entries.push({ title: ['repair', { device }], lines });
+    } else if (request.intent === 'sell' && recent) {
+      entries.push({ title: ['sell', { device }], lines: quoteLines });
+    } else if (request.intent === 'buy' && recent && !reservations.some(reservation => reservation.request_id === request.id)) {
+      entries.push({ title: ['buy', { device }], lines: [['status', { status: TRACKING_MESSAGES[locale].searching }]] });
+    }
+  }
+
+  reservations.forEach(reservation => {
+    const pickupBefore = new Date(parseDbTimestamp(reservation.created_at).getTime() + RESERVATION_HOLD_HOURS * 60 * 60 * 1000);
+    entries.push({
+      title: ['reservation', { device: reservation.brand ? productLabel(reservation) : '-' }],
+      lines: [['price', { price: formatPrice(reservation.price) }], ['pickupBefore', { date: formatAppointment(pickupBefore, locale) }]]
+    });
+  });
+
+  // Appointments not tied to an open repair
+  const repairIds = requests.filter(request => request.intent === 'repair' && request.status !== 'delivered').map(request => request.id);
+  appointments.filter(appointment => !repairIds.includes(appointment.request_id)).forEach(appointment => {
+    entries.push({ title: ['appointment', { date: formatAppointment(parseLocalDateTime(appointment.starts_at), locale) }], lines: [] });
+  });
+
+  return entries;
+}
+
+// Reply to a tracking request
+async function describeOpenRequests(userPhone, locale) {
+  const messages = TRACKING_MESSAGES[locale] || TRACKING_MESSAGES[DEFAULT_LOCALE];
+  const render = ([key, values]) => bot.interpolate(messages[key], values, locale);
+  const entries = await getOpenRequests(userPhone, locale);
+
+  if (entries.length === 0) {
+    return [render(['none', {}]), render(['footer', {}])].join('\n\n');
+  }
+  return [
+    render(['header', { count: String(entries.length) }]),
+    ...entries.map((entry, index) => [
+      `${index + 1}. ${render(entry.title)}`,
+      ...entry.lines.map(line => `    ${render(line)}`)
+    ].join('\n')),
+    render(['footer', {}])
+  ].join('\n\n');
+}
+
+// ==========================================
+// AGENT HANDOFF
+// ==========================================
+
+/*
+Customers type "conseiller" (or ask to talk to someone) at any point to
+get a human: the conversation switches to 'human' mode and the bot stops
+answering until the customer types 'menu' or the agent hands it back.
+Agents answer from /admin/inbox; their replies are sent on WhatsApp and
+saved in conversations as 'agent' messages.
+*/
+
+const HANDOFF_COMMANDS = ['conseiller', 'agent', 'humain', 'advisor', 'human', 'مستشار', 'بنادم'];
+const HANDOFF_PATTERNS = [
+  /\bparler (a|avec) (un|une|quelqu'un)\b/,
+  /\b(talk|speak) to (an? |someone|somebody)/,
+  /نهضر مع/
+];
+
+// Conversations active this recently are listed in the inbox
+// (WhatsApp only delivers free-form replies within 24h of the customer's last message)
+const INBOX_RECENT_HOURS = 24;
+
+function isHandoffCommand(text) {
+  const simplified = simplifyText(text);
+  return HANDOFF_COMMANDS.includes(simplified) || HANDOFF_PATTERNS.some(pattern => pattern.test(simplified));
+}
+
+// Give a conversation to the bot or to an agent (null = any agent)
+async function changeChatMode(userPhone, mode, agentUsername = null) {
+  await dbHelpers.setChatMode(userPhone, mode, agentUsername);
+  liveEvents.emit('mode', { user_phone: userPhone, chat_mode: mode, assigned_agent: agentUsername });
+  log(`👤 Conversation ${userPhone} → ${mode}${agentUsername ? ` (${agentUsername})` : ''}`);
+}
+
+// Send an agent's message to the customer and log it, the agent takes the conversation
+async function sendAgentReply(userPhone, text, staffUsername) {
+  await sendWhatsAppMessage(userPhone, { type: 'text', text });
+  await dbHelpers.saveMessage(userPhone, 'agent', text, null, null, staffUsername);
+
+  const { chat_mode: mode, assigned_agent: agent } = await dbHelpers.getChatMode(userPhone);
+  if (mode !== 'human' || agent !== staffUsername) {
+    await changeChatMode(userPhone, 'human', staffUsername);
+  }
+}
+
+// ==========================================
+// EXPORTS
+// ==========================================
+
+/*
+Admins download the customer list (one row per request, with the dashboard
+filters) and conversation transcripts as CSV or XLSX from
+/admin/export/users.csv|xlsx and /admin/export/conversations.csv|xlsx.
+Rows are read from the database batch by batch and streamed to the
+response, so large exports never sit in memory. CSV files use ';' and a
+UTF-8 BOM (what French Excel expects); dates are formatted like on the
+dashboard (real date cells in XLSX).
+*/
+
+const EXPORT_FORMATS = ['csv', 'xlsx'];
+const EXPORT_BATCH_SIZE = 500;
+
+// Columns of an export: { header, value(row), type ('date' | 'datetime'), width }
+const USER_EXPORT_COLUMNS = [
+  { header: 'Téléphone', value: ({ user }) => user.phone_number },
+  { header: 'Nom', value: ({ user }) => user.name },
+  { header: 'Langue', value: ({ user }) => user.locale && user.locale.toUpperCase(), width: 8 },
+  { header: 'Tags', value: ({ user }) => user.tags.join(', ') },
+  { header: 'Demande', value: ({ request }) => request && request.id, width: 10 },
+  { header: 'Type', value: ({ request }) => request && request.intent && request.intent.toUpperCase(), width: 10 },
+  { header: 'Statut', value: ({ request }) => request && request.intent === 'repair' && TICKET_STATUSES[request.status] ? TICKET_STATUSES[request.status].label : null },
+  { header: 'Marque', value: ({ request }) => request && request.brand },
+  { header: 'Modèle', value: ({ request }) => request && request.model },
+  { header: 'Budget', value: ({ request }) => request && request.budget },
+  { header: 'Budget (MAD)', value: ({ request }) => request && normalizedBudget(request), width: 12 },
+  { header: 'État', value: ({ request }) => request && request.condition },
+  { header: 'Problème', value: ({ request }) => request && request.issue },
+  { header: 'Détail du problème', value: ({ request }) => request && request.issue_detail, width: 40 },
+  { header: 'Lieu', value: ({ request }) => request && request.location },
+  { header: 'Produit', value: ({ request }) => request && request.product },
+  { header: 'Rendez-vous', value: ({ request }) => request && request.appointment },
+  { header: 'Devis min (MAD)', value: ({ request }) => request && request.quote_low, width: 12 },
+  { header: 'Devis max (MAD)', value: ({ request }) => request && request.quote_high, width: 12 },
+  { header: 'Devis', value: ({ request }) => request && { estimate: 'Estimation', confirmed: 'Confirmé' }[request.quote_status], width: 12 },
+  { header: 'Date', value: ({ request }) => request && request.created_at, type: 'date' },
+  { header: 'Terminée le', value: ({ request }) => request && request.completed_at, type: 'datetime' },
+  { header: 'Dernière interaction', value: ({ user }) => user.last_interaction, type: 'datetime' }
+];
+
+const CONVERSATION_EXPORT_COLUMNS = [
+  { header: 'Téléphone', value: message => message.user_phone },
+  { header: 'Date', value: message => message.created_at, type: 'datetime' },
+  { header: 'Auteur', value: messageAuthor, width: 14 },
+  { header: 'Message', value: message => message.message_text, width: 60 },
+  { header: 'Média', value: message => message.media_type && `${message.media_type} ${message.media_ref || ''}`.trim() },
+  { header: 'Étape', value: message => message.step_id }
+];
+
+const EXCEL_DATE_FORMATS = { date: 'dd/mm/yyyy', datetime: 'dd/mm/yyyy hh:mm:ss' };
+
+// Date cell showing the same local time as formatDateTime in the CSV: Excel dates
+// have no time zone and exceljs writes the UTC fields, so they get the local ones
+function excelDate(value) {
+  const date = parseDbTimestamp(value);
+  return new Date(date.getTime() - date.getTimezoneOffset() * 60 * 1000);
+}
+
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  let text = String(value);
+  // Customer text starting like a formula must not run in the spreadsheet
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[;"\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function csvValue(column, row) {
+  const value = column.value(row);
+  if (column.type === 'date') return value ? formatDate(value) : null;
+  if (column.type === 'datetime') return value ? formatDateTime(value) : null;
+  return value;
+}
+
+// Resolves once the response can take more data (or the client went away)
+function waitForDrain(res) {
+  return new Promise(resolve => {
+    const done = () => {
+      res.off('drain', done);
+      res.off('close', done);
+      resolve();
+    };
+    res.on('drain', done);
+    res.on('close', done);
+  });
+}
+
+// Stream an export to the response; nextBatch() resolves with the next rows, [] at the end
+async function sendExport(res, { format, filename, sheetName, columns, nextBatch }) {
+  res.attachment(`${filename}.${format}`);
+
+  if (format === 'csv') {
+    res.type('text/csv; charset=utf-8');
+    res.write(`\uFEFF${columns.map(column => csvCell(column.header)).join(';')}\r\n`);
+    for (let rows = await nextBatch(); rows.length > 0 && !res.destroyed; rows = await nextBatch()) {
+      const lines = rows.map(row => `${columns.map(column => csvCell(csvValue(column, row))).join(';')}\r\n`);
+      if (!res.write(lines.join(''))) await waitForDrain(res);
+    }
+    res.end();
+    return;
+  }
+
+  res.type('xlsx');
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: true });
+  const sheet = workbook.addWorksheet(sheetName, { views: [{ state: 'frozen', ySplit: 1 }] });
+  sheet.columns = columns.map(column => ({
+    header: column.header,
+    width: column.width || (column.type === 'datetime' ? 20 : 16),
+    style: column.type ? { numFmt: EXCEL_DATE_FORMATS[column.type] } : {}
+  }));
+  sheet.getRow(1).font = { bold: true };
+  for (let rows = await nextBatch(); rows.length > 0 && !res.destroyed; rows = await nextBatch()) {
+    rows.forEach(row => {
+      sheet.addRow(columns.map(column => {
+        const value = column.value(row);
+        if (value === null || value === undefined || value === '') return null;
+        return column.type ? excelDate(value) : value;
+      })).commit();
+    });
+    // Committed rows reach the response once zipped (zlib runs in the background):
+    // give it a turn, then wait for a slow client before reading more
+    await new Promise(resolve => setImmediate(resolve));
+    if (res.writableNeedDrain) await waitForDrain(res);
+  }
+  sheet.commit();
+  await workbook.commit();
+}
+
+// Customer list export: one row per matching request (customers without any get one row),
+// customers in the order they first wrote
+function exportUsers(res, format, filters) {
+  let lastId = 0;
+  return sendExport(res, {
+    format,
+    filename: `clients-${toLocalDateTime(new Date()).slice(0, 10)}`,
+    sheetName: 'Clients',
+    columns: USER_EXPORT_COLUMNS,
+    nextBatch: async () => {
+      const users = await dbHelpers.getUserBatch(filters, lastId, EXPORT_BATCH_SIZE);
+      if (users.length > 0) lastId = users[users.length - 1].id;
+      return users.flatMap(user => (user.requests.length > 0 ? user.requests : [null]).map(request => ({ user, request })));
+    }
+  });
+}
+
+// Transcripts of the matching customers (one customer when filters.phone is set)
+function exportConversations(res, format, filters) {
+  let last = { user_phone: '', id: 0 };
+  return sendExport(res, {
+    format,
+    filename: `conversations-${filters.phone ? `${filters.phone}-` : ''}${toLocalDateTime(new Date()).slice(0, 10)}`,
+    sheetName: 'Conversations',
+    columns: CONVERSATION_EXPORT_COLUMNS,
+    nextBatch: async () => {
+      const messages = await dbHelpers.getConversationBatch(filters, last, EXPORT_BATCH_SIZE);
+      if (messages.length > 0) last = messages[messages.length - 1];
+      return messages;
+    }
+  });
+}
+
+// ==========================================
+// ADMIN PANEL TEMPLATES
+// ==========================================
+
+const adminStyles = `
+    * { margin: 0; padding: 0; box-sizing: border-box; }
+    body { 
+        font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif;
+        background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+        padding: 20px;
+    }
+    .container { max-width: 1400px; margin: 0 auto; }
+    .header {
+        background: white;
+        padding: 30px;
+        border-radius: 15px;
+        box-shadow: 0 10px 40px rgba(0,0,0,0.1);
+        margin-bottom: 30px;
+    }
+    .header h1 {
+        color: #333;
+        font-size: 32px;
+        margin-bottom: 10px;
+    }
+    .stats {
+        display: grid;
+        grid-template-columns: repeat(auto-fit, minmax(200px, 1fr));
+        gap: 20px;
+        margin-bottom: 30px;
+    }
+    .stat-card {
+        background: white;
+        padding: 25px;
+        border-radius: 15px;
+        box-shadow: 0 5px 20px rgba(0,0,0,0.1);
+        text-align: center;
+    }
+    .stat-card h3 {
+        color: #666;
+        font-size: 14px;
+        margin-bottom: 10px;
+        text-transform: uppercase;
+    }
+    .stat-card .number {
+        font-size: 36px;
+        font-weight: bold;
+        color: #667eea;
+    }
+    .table-container {
+        background: white;
+        padding: 30px;
+        border-radius: 15px;
+        box-shadow: 0 10px 40px rgba(0,0,0,0.1);
+        overflow-x: auto;
+    }
+    table {
+        width: 100%;
+        border-collapse: collapse;
+    }
+    th {
+        background: #667eea;
+        color: white;
+        padding: 15px;
+        text-align: left;
+        font-weight: 600;
+        position: sticky;
+        top: 0;
+    }
+    td {
+        padding: 15px;
+        border-bottom: 1px solid #eee;
+    }
+    tr:hover {
+        background: #f8f9ff;
+    }
+    .badge {
+        display: inline-block;
+        padding: 5px 15px;
+        border-radius: 20px;
+        font-size: 12px;
+        font-weight: 600;
+    }
+    .badge-buy { background: #d4edda; color: #155724; }
+    .badge-sell { background: #fff3cd; color: #856404; }
+    .badge-repair { background: #cce5ff; color: #004085; }
+    .badge-estimate { background: #fff3cd; color: #856404; }
+    .badge-confirmed { background: #d4edda; color: #155724; }
+    .quote-form { display: flex; gap: 5px; margin-top: 5px; }
+    .quote-form input { width: 100px; }
+    .calendar-nav { display: flex; gap: 10px; align-items: center; }
+    .calendar-nav input { padding: 8px; border: 1px solid #ddd; border-radius: 8px; }
+    .cancelled { text-decoration: line-through; }
+    td[rowspan] { vertical-align: top; }
+    .refresh-btn {
+        background: #667eea;
+        color: white;
+        border: none;
+        padding: 12px 30px;
+        border-radius: 8px;
+        cursor: pointer;
+        font-size: 16px;
+        margin-left: 20px;
+    }
+    .refresh-btn:hover {
+        background: #5568d3;
+    }
+    .nav-link {
+        display: inline-block;
+        color: #667eea;
+        font-weight: 600;
+        text-decoration: none;
+        margin-right: 20px;
+    }
+    .alert {
+        padding: 15px 20px;
+        border-radius: 10px;
+        margin-bottom: 20px;
+    }
+    .alert-success { background: #d4edda; color: #155724; }
+    .alert-error { background: #f8d7da; color: #721c24; }
+    .alert-error ul { margin: 10px 0 0 20px; }
+    .step-card {
+        border: 1px solid #eee;
+        border-radius: 10px;
+        padding: 20px;
+        margin-bottom: 20px;
+    }
+    .step-card h3 { color: #333; margin-bottom: 10px; }
+    .step-card label {
+        display: block;
+        color: #666;
+        font-size: 13px;
+        margin: 10px 0 5px;
+    }
+    .step-card textarea, .step-card input[type=text], .step-card input[type=number], .step-card select,
+    td input, td select {
+        width: 100%;
+        padding: 10px;
+        border: 1px solid #ddd;
+        border-radius: 8px;
+        font-family: inherit;
+        font-size: 14px;
+    }
+    .step-card textarea { min-height: 90px; }
+    .button-row {
+        display: grid;
+        grid-template-columns: 1fr 1.5fr 1.5fr 1.5fr 2fr auto;
+        gap: 10px;
+        align-items: center;
+        margin-bottom: 8px;
+    }
+    .muted { color: #999; font-size: 13px; }
+    .staff-bar { margin-top: 10px; }
+    .message-text { white-space: pre-wrap; }
+    .media-image {
+        display: block;
+        max-width: 240px;
+        max-height: 240px;
+        margin-top: 8px;
+        border-radius: 8px;
+    }
+    .link-btn {
+        background: none;
+        border: none;
+        color: #667eea;
+        cursor: pointer;
+        font-size: 14px;
+        text-decoration: underline;
+        margin-left: 10px;
+    }
+    .inbox {
+        display: grid;
+        grid-template-columns: 320px 1fr;
+        gap: 20px;
+        align-items: start;
+    }
+    .inbox-item {
+        display: block;
+        padding: 12px;
+        border-bottom: 1px solid #eee;
+        color: #333;
+        text-decoration: none;
+    }
+    .inbox-item:hover, .inbox-item.selected { background: #f8f9ff; }
+    .inbox-item.unread strong::after { content: ' 🔴'; }
+    .inbox-preview {
+        display: block;
+        overflow: hidden;
+        white-space: nowrap;
+        text-overflow: ellipsis;
+    }
+    .chat {
+        max-height: 60vh;
+        overflow-y: auto;
+        display: flex;
+        flex-direction: column;
+        gap: 8px;
+        margin-bottom: 20px;
+    }
+    .bubble {
+        max-width: 70%;
+        padding: 10px 14px;
+        border-radius: 12px;
+        white-space: pre-wrap;
+    }
+    .bubble-incoming { align-self: flex-start; background: #f1f1f1; }
+    .bubble-outgoing { align-self: flex-end; background: #dcf8c6; }
+    .bubble-agent { align-self: flex-end; background: #cce5ff; }
+    .bubble-meta { display: block; margin-top: 4px; color: #999; font-size: 11px; }
+    .reply-form { display: flex; gap: 10px; }
+    .filters {
+        display: flex;
+        flex-wrap: wrap;
+        gap: 10px;
+        align-items: center;
+        margin-bottom: 20px;
+    }
+    .filters input, .filters select {
+        padding: 10px;
+        border: 1px solid #ddd;
+        border-radius: 8px;
+        font-family: inherit;
+        font-size: 14px;
+    }
+    .filters input[type=search] { flex: 1; min-width: 220px; }
+    .filters .refresh-btn { margin-left: 0; }
+    .sort-link { color: white; text-decoration: none; white-space: nowrap; }
+    .pagination { display: flex; gap: 20px; align-items: center; margin-top: 20px; }
+    .conversation {
+        display: grid;
+        grid-template-columns: 1fr 380px;
+        gap: 20px;
+        align-items: start;
+    }
+    .conversation .chat { max-height: 80vh; }
+    .badge-tag { background: #e2e3f3; color: #3d4494; margin: 2px 0; }
+    .tag-remove {
+        background: none;
+        border: none;
+        color: inherit;
+        cursor: pointer;
+        font-weight: 600;
+    }
+    .note { padding: 10px 0; border-bottom: 1px solid #eee; }
+    .reply-form textarea {
+        flex: 1;
+        min-height: 60px;
+        padding: 10px;
+        border: 1px solid #ddd;
+        border-radius: 8px;
+        font-family: inherit;
+        font-size: 14px;
+    }
+    code {
+        display: inline-block;
+        margin-top: 10px;
+        padding: 5px 10px;
+        background: white;
+        border-radius: 5px;
+        word-break: break-all;
+    }
+`;
+
+/*
+Templates use the html`...` tag: every interpolated value is escaped,
+except nested html`...` results and raw() (trusted markup only).
+Customer text coming from WhatsApp must never go through raw().
+*/
+
+class SafeHtml {
+  constructor(value) {
+    this.value = value;
+  }
+
+  toString() {
+    return this.value;
+  }
+}
+
+// Escape text before putting it in HTML
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+// Mark trusted markup so html`...` does not escape it
+function raw(value) {
+  return new SafeHtml(String(value));
+}
+
+function renderValue(value) {
+  if (value instanceof SafeHtml) return value.value;
+  if (Array.isArray(value)) return value.map(renderValue).join('');
+  if (value === null || value === undefined || value === false) return '';
+  return escapeHtml(value);
+}
+
+function html(strings, ...values) {
+  let out = strings[0];
+  values.forEach((value, i) => {
+    out += renderValue(value) + strings[i + 1];
+  });
+  return new SafeHtml(out);
+}
+
+// Full admin page (returns the HTML string to send)
+function renderPage({ title, body, containerStyle = null }) {
+  return html`
+<!DOCTYPE html>
+<html lang="fr">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${title} - SmartFix Bot</title>
+    <style>${raw(adminStyles)}</style>
+</head>
+<body>
+    <div class="container" ${containerStyle ? html`style="${containerStyle}"` : ''}>
+        ${body}
+    </div>
+</body>
+</html>
+  `.toString();
+}
+
+// Database timestamps (UTC) shown in the server time zone, like appointments
+function formatDate(value) {
+  return value ? parseDbTimestamp(value).toLocaleDateString('fr-FR') : '-';
+}
+
+function formatDateTime(value) {
+  return value ? parseDbTimestamp(value).toLocaleString('fr-FR') : '-';
+}
+
+// Budget parsed by the step validator, in MAD (undefined when unknown)
+function normalizedBudget(request) {
+  const normalized = request.normalized ? JSON.parse(request.normalized) : {};
+  return typeof normalized.budget === 'number' ? normalized.budget : undefined;
+}
+
+// Quoted price range, with a form to confirm it while it is an estimate
+function renderQuote(request) {
+  if (!request.quote_status) return '-';
+  const range = formatPriceRange({ low: request.quote_low, high: request.quote_high });
+  if (request.quote_status === 'confirmed') {
+    return html`${range} <span class="badge badge-confirmed">Confirmé</span>`;
+  }
+  return html`
+    ${range} <span class="badge badge-estimate">Estimation</span>
+    <form method="POST" action="/admin/requests/${request.id}/quote/confirm" class="quote-form">
+        <input type="number" name="price" min="1" placeholder="Prix final">
+        <button type="submit" class="link-btn">Confirmer</button>
+    </form>
+  `;
+}
+
+// Request history of a customer: one row per request (newest first),
+// the customer columns spanning all of them
+function renderUserRows(user) {
+  const requests = user.requests.length > 0 ? user.requests : [null];
+  return requests.map((request, index) => html`
+    <tr data-phone="${user.phone_number}">
+        ${index === 0 ? html`
+            <td rowspan="${requests.length}">
+                <a href="/admin/conversations/${encodeURIComponent(user.phone_number)}"><strong>${user.phone_number}</strong></a>
+                ${(user.tags || []).map(tag => html`<br><span class="badge badge-tag">${tag}</span>`)}
+            </td>
+            <td rowspan="${requests.length}">${user.locale ? user.locale.toUpperCase() : '-'}</td>
+        ` : ''}
+        ${request ? html`
+            <td>
+                #${request.id}
+                ${request.completed_at ? '' : html`<br><span class="muted">⏳ En cours</span>`}
+            </td>
+            <td>
+                ${request.intent ? html`<span class="badge badge-${request.intent}">${request.intent.toUpperCase()}</span>` : '-'}
+                ${request.intent === 'repair' && TICKET_STATUSES[request.status] ? html`<br><span class="muted">🎫 ${TICKET_STATUSES[request.status].label}</span>` : ''}
+            </td>
+            <td>
+                ${request.brand || '-'} ${request.model || ''}
+                ${request.product ? html`<br><span class="muted">🛍️ ${request.product}</span>` : ''}
+            </td>
+            <td>
+                ${request.budget || '-'}
+                ${normalizedBudget(request) !== undefined ? html`<span class="muted">(${normalizedBudget(request).toLocaleString('fr-FR')} MAD)</span>` : ''}
+            </td>
+            <td>${request.condition || '-'}</td>
+            <td>${renderQuote(request)}</td>
+            <td>
+                ${request.issue || '-'} ${request.issue_detail || ''}
+                ${request.photo ? html`<a href="/admin/media/${encodeURIComponent(request.photo)}" target="_blank">📷</a>` : ''}
+                ${request.appointment ? html`<br><span class="muted">📅 ${request.appointment}</span>` : ''}
+            </td>
+            <td>${formatDate(request.created_at)}</td>
+        ` : html`<td colspan="8" class="muted">Aucune demande</td>`}
+        ${index === 0 ? html`<td rowspan="${requests.length}">${formatDateTime(user.last_interaction)}</td>` : ''}
+    </tr>
+  `);
+}
+
+// Query string of the customer list, defaults left out (e.g. '?intent=repair&page=2')
+function userListQuery(filters, changes = {}) {
+  const values = { ...filters, ...changes };
+  const params = new URLSearchParams();
+  ['q', 'intent', 'status', 'from', 'to'].forEach(name => {
+    if (values[name]) params.set(name, values[name]);
+  });
+  if (values.sort !== 'last_interaction') params.set('sort', values.sort);
+  if (values.order !== 'desc') params.set('order', values.order);
+  if (values.page > 1) params.set('page', values.page);
+  if (values.perPage !== DEFAULT_PAGE_SIZE) params.set('per_page', values.perPage);
+  const query = params.toString();
+  return query ? `?${query}` : '';
+}
+
+// Column header sorting the customer list (clicking it again reverses the order)
+function renderSortHeader(filters, column, label) {
+  const sorted = filters.sort === column;
+  const order = sorted && filters.order === 'asc' ? 'desc' : 'asc';
+  return html`
+    <th>
+        <a class="sort-link" href="/admin${userListQuery(filters, { sort: column, order, page: 1 })}">
+            ${label}${sorted ? (filters.order === 'asc' ? ' ▲' : ' ▼') : ''}
+        </a>
+    </th>
+  `;
+}
+
+function renderUserFilters(filters) {
+  const pageSizes = [...new Set([10, DEFAULT_PAGE_SIZE, 50, MAX_PAGE_SIZE, filters.perPage])].sort((a, b) => a - b);
+  return html`
+    <form method="GET" action="/admin" class="filters">
+        <input type="search" name="q" value="${filters.q || ''}" placeholder="🔍 Téléphone, nom, marque, problème...">
+        <select name="intent">
+            <option value="">Tous les types</option>
+            ${INTENTS.map(intent => html`<option value="${intent}" ${filters.intent === intent ? 'selected' : ''}>${intent.toUpperCase()}</option>`)}
+        </select>
+        <select name="status">
+            <option value="">Tous les statuts</option>
+            ${Object.entries(TICKET_STATUSES).map(([key, status]) => html`<option value="${key}" ${filters.status === key ? 'selected' : ''}>${status.label}</option>`)}
+        </select>
+        <label>Du <input type="date" name="from" value="${filters.from || ''}"></label>
+        <label>au <input type="date" name="to" value="${filters.to || ''}"></label>
+        <select name="per_page">
+            ${pageSizes.map(size => html`<option value="${size}" ${filters.perPage === size ? 'selected' : ''}>${size} par page</option>`)}
+        </select>
+        ${filters.sort !== 'last_interaction' ? html`<input type="hidden" name="sort" value="${filters.sort}">` : ''}
+        ${filters.order !== 'desc' ? html`<input type="hidden" name="order" value="${filters.order}">` : ''}
+        <button type="submit" class="refresh-btn">Filtrer</button>
+        <a class="nav-link" href="/admin">Réinitialiser</a>
+    </form>
+  `;
+}
+
+// Downloads of the list as shown (query = current filters)
+function renderExportLinks(query) {
+  return html`
+    <p class="muted" style="margin-bottom: 20px;">
+        📥 Exporter :
+        <a class="nav-link" href="/admin/export/users.xlsx${query}">Clients (Excel)</a>
+        <a class="nav-link" href="/admin/export/users.csv${query}">Clients (CSV)</a>
+        <a class="nav-link" href="/admin/export/conversations.xlsx${query}">Conversations (Excel)</a>
+        <a class="nav-link" href="/admin/export/conversations.csv${query}">Conversations (CSV)</a>
+    </p>
+  `;
+}
+
+function renderPagination(filters, total) {
+  const pages = Math.max(1, Math.ceil(total / filters.perPage));
+  return html`
+    <div class="pagination">
+        ${filters.page > 1 ? html`<a class="nav-link" href="/admin${userListQuery(filters, { page: Math.min(filters.page, pages + 1) - 1 })}">← Précédent</a>` : ''}
+        <span class="muted">Page ${filters.page} / ${pages} · ${total} client(s)</span>
+        ${filters.page < pages ? html`<a class="nav-link" href="/admin${userListQuery(filters, { page: filters.page + 1 })}">Suivant →</a>` : ''}
+    </div>
+  `;
+}
+
+function renderDashboard({ staff, users, stats, filters, total, errors = [] }) {
+  // Only the unfiltered first page takes in new customers live, other views
+  // just keep the customers they show up to date
+  const liveInsert = filters.page === 1 && filters.sort === 'last_interaction' && filters.order === 'desc' &&
+    !filters.q && !filters.intent && !filters.status && !filters.from && !filters.to;
+  return renderPage({
+    title: 'Admin Dashboard',
+    body: html`
+        <div class="header">
+            <h1>📊 SmartFix Mobile - Admin Dashboard</h1>
+            <p>Gestion des conversations WhatsApp</p>
+            ${renderStaffBar(staff)}
+            <button class="refresh-btn" onclick="location.reload()">🔄 Actualiser</button>
+            <span class="muted" id="live-status">⚪ Connexion...</span>
+        </div>
+
+        <div class="stats">
+            <div class="stat-card">
+                <h3>Total Utilisateurs</h3>
+                <div class="number" data-stat="total_users">${stats.total_users}</div>
+            </div>
+            <div class="stat-card">
+                <h3>🛒 Demandes Achat</h3>
+                <div class="number" data-stat="buy_requests">${stats.buy_requests}</div>
+            </div>
+            <div class="stat-card">
+                <h3>💰 Demandes Vente</h3>
+                <div class="number" data-stat="sell_requests">${stats.sell_requests}</div>
+            </div>
+            <div class="stat-card">
+                <h3>🔧 Demandes Réparation</h3>
+                <div class="number" data-stat="repair_requests">${stats.repair_requests}</div>
+            </div>
+            <div class="stat-card">
+                <h3>💬 Total Messages</h3>
+                <div class="number" data-stat="total_messages">${stats.total_messages}</div>
+            </div>
+        </div>
+
+        <div class="table-container">
+            <h2 style="margin-bottom: 20px;">📱 Liste des Utilisateurs</h2>
+            ${renderUserFilters(filters)}
+            ${staff.role === 'admin' ? renderExportLinks(userListQuery(filters, { page: 1, perPage: DEFAULT_PAGE_SIZE })) : ''}
+            ${errors.length > 0 ? html`
+                <div class="alert alert-error">
+                    ⚠️ Filtres ignorés :
+                    <ul>${errors.map(error => html`<li>${error}</li>`)}</ul>
+                </div>
+            ` : ''}
+            <table>
+                <thead>
+                    <tr>
+                        ${renderSortHeader(filters, 'phone', '📞 Téléphone')}
+                        ${renderSortHeader(filters, 'locale', '🌐 Langue')}
+                        ${renderSortHeader(filters, 'request', '🧾 Demande')}
+                        ${renderSortHeader(filters, 'intent', '🎯 Type')}
+                        ${renderSortHeader(filters, 'brand', '📱 Marque')}
+                        ${renderSortHeader(filters, 'budget', '💰 Budget')}
+                        ${renderSortHeader(filters, 'condition', '📊 État')}
+                        ${renderSortHeader(filters, 'quote', '💶 Devis')}
+                        ${renderSortHeader(filters, 'issue', '🔧 Problème')}
+                        ${renderSortHeader(filters, 'date', '📅 Date')}
+                        ${renderSortHeader(filters, 'last_interaction', '🕐 Dernière Interaction')}
+                    </tr>
+                </thead>
+                <tbody id="user-rows" data-live-insert="${liveInsert ? 'true' : 'false'}">
+                    ${users.length > 0 ? users.map(renderUserRows) : html`<tr><td colspan="11" class="muted">Aucun client ne correspond à ces filtres</td></tr>`}
+                </tbody>
+            </table>
+            ${renderPagination(filters, total)}
+        </div>
+
+        <script>
+            // Live updates from /admin/events: counters are patched from the event,
+            // a customer's rows are re-rendered by /admin/users/:phone/rows (with the
+            // current filters, so a customer who no longer matches is removed)
+            (function () {
+                var tbody = document.getElementById('user-rows');
+                var insertNew = tbody.dataset.liveInsert === 'true';
+                var liveStatus = document.getElementById('live-status');
+                var pending = {};
+                var events = new EventSource('/admin/events');
+
+                function userRows(phone) {
+                    return Array.prototype.filter.call(tbody.rows, function (row) {
+                        return row.dataset.phone === phone;
+                    });
+                }
+
+                function refreshUser(phone, moveToTop) {
+                    var rows = userRows(phone);
+                    if (rows.length === 0 && !insertNew) return;
+                    // Do not replace a form the staff member is filling in
+                    if (rows.some(function (row) { return row.contains(document.activeElement); })) {
+                        setTimeout(function () { refreshUser(phone, moveToTop); }, 5000);
+                        return;
+                    }
+                    fetch('/admin/users/' + encodeURIComponent(phone) + '/rows' + location.search)
+                        .then(function (response) { return response.ok ? response.text() : null; })
+                        .then(function (fragment) {
+                            if (fragment === null) return;
+                            var template = document.createElement('template');
+                            template.innerHTML = fragment;
+                            var anchor = (moveToTop && insertNew) || rows.length === 0 ? tbody.firstChild : rows[0];
+                            tbody.insertBefore(template.content, anchor);
+                            rows.forEach(function (row) { row.remove(); });
+                        });
+                }
+
+                // Several events usually arrive together for one message
+                function scheduleRefresh(phone, moveToTop) {
+                    if (pending[phone]) {
+                        pending[phone].moveToTop = pending[phone].moveToTop || moveToTop;
+                        return;
+                    }
+                    pending[phone] = { moveToTop: moveToTop };
+                    setTimeout(function () {
+                        var refresh = pending[phone];
+                        delete pending[phone];
+                        refreshUser(phone, refresh.moveToTop);
+                    }, 300);
+                }
+
+                events.addEventListener('message', function (event) {
+                    var message = JSON.parse(event.data);
+                    scheduleRefresh(message.user_phone, message.message_type === 'incoming');
+                });
+                events.addEventListener('user', function (event) {
+                    var user = JSON.parse(event.data);
+                    scheduleRefresh(user.phone_number, user.created);
+                });
+                ['request', 'status'].forEach(function (type) {
+                    events.addEventListener(type, function (event) {
+                        scheduleRefresh(JSON.parse(event.data).user_phone, false);
+                    });
+                });
+                events.addEventListener('stats', function (event) {
+                    var stats = JSON.parse(event.data);
+                    Object.keys(stats).forEach(function (key) {
+                        var number = document.querySelector('[data-stat="' + key + '"]');
+                        if (number) number.textContent = stats[key];
+                    });
+                });
+
+                events.onopen = function () { liveStatus.textContent = '🟢 En direct'; };
+                events.onerror = function () { liveStatus.textContent = '🔴 Déconnecté, reconnexion...'; };
+            })();
+        </script>
+    `
+  });
+}
+
+// One variant of a localized text, without fallback (for the editor)
+function localizedVariant(value, locale) {
+  if (typeof value === 'string') return locale === DEFAULT_LOCALE ? value : '';
+  return (value && value[locale]) || '';
+}
+
+// Editor fields { fr, ar, en } -> plain string or per-locale object
+function readLocalizedField(field) {
+  if (typeof field === 'string') return field.replace(/\r\n/g, '\n');
+
+  const variants = {};
+  LOCALES.forEach(locale => {
+    const variant = (field && field[locale] || '').replace(/\r\n/g, '\n');
+    if (variant.trim()) variants[locale] = variant;
+  });
+  const locales = Object.keys(variants);
+  return locales.length === 1 && locales[0] === DEFAULT_LOCALE ? variants[DEFAULT_LOCALE] : variants;
+}
+
+// Build a new flow from the submitted editor form (ids and types stay as they are)
+function applyFlowForm(baseFlow, form) {
+  const flowConfig = JSON.parse(JSON.stringify(baseFlow));
+  const stepsForm = (form && form.steps) || {};
+
+  flowConfig.steps.forEach(step => {
+    const stepForm = stepsForm[step.id];
+    if (!stepForm) return;
+
+    if (stepForm.text) {
+      step.text = readLocalizedField(stepForm.text);
+    }
+
+    if (getStepChoices(step) && step.type !== 'list') {
+      const buttons = [];
+      const next = {};
+      Object.values(stepForm.buttons || {}).forEach(row => {
+        const id = (row.id || '').trim();
+        if (!id || row.remove) return;
+        buttons.push({ id, title: readLocalizedField(row.title) });
+        next[id] = row.next;
+      });
+      step.buttons = buttons;
+      step.next = next;
+    } else if (step.type === 'list') {
+      if (stepForm.button) {
+        step.button = readLocalizedField(stepForm.button);
+      }
+      // Rows keep their id and section, only titles and targets are editable
+      const rowsForm = Object.values(stepForm.rows || {});
+      getListRows(step).forEach(row => {
+        const rowForm = rowsForm.find(r => r.id === row.id);
+        if (!rowForm) return;
+        if (rowForm.title) row.title = readLocalizedField(rowForm.title);
+        if (rowForm.next && typeof step.next === 'object') step.next[row.id] = rowForm.next;
+      });
+      if (typeof step.next === 'string' && stepForm.next) {
+        step.next = stepForm.next;
+      }
+    } else if (step.type !== 'end' && stepForm.next) {
+      step.next = stepForm.next;
+    }
+
+    if (DATA_STEP_TYPES.includes(step.type) && stepForm.fallback) {
+      step.fallback = stepForm.fallback;
+    }
+  });
+
+  return flowConfig;
+}
+
+function renderStepOptions(flowConfig, selected) {
+  return flowConfig.steps.map(s => html`
+    <option value="${s.id}" ${s.id === selected ? 'selected' : ''}>${s.id}</option>
+  `);
+}
+
+// Editor label of the "fallback" of data steps
+const FALLBACK_LABELS = {
+  products: 'Si aucun téléphone ne correspond',
+  slots: 'Si aucun créneau ne convient',
+  quote: 'Si aucun tarif ne correspond'
+};
+
+function renderStepEditor(flowConfig, step) {
+  const name = `steps[${step.id}]`;
+  let nextFields = '';
+
+  if (getStepChoices(step) && step.type !== 'list') {
+    const rows = [...step.buttons];
+    // Empty row to add a button while under the WhatsApp limit
+    if (rows.length < MAX_BUTTONS) rows.push({ id: '', title: '', isNew: true });
+
+    nextFields = html`
+      <label>Boutons (id · titres ${LOCALES.join('/')} ≤ ${MAX_BUTTON_TITLE_LENGTH} caractères · étape suivante · supprimer)</label>
+      ${rows.map((btn, i) => html`
+        <div class="button-row">
+          <input type="text" name="${name}[buttons][${i}][id]" value="${btn.id}"
+                 ${btn.isNew ? html`placeholder="nouveau bouton"` : 'readonly'}>
+          ${LOCALES.map(locale => html`
+            <input type="text" name="${name}[buttons][${i}][title][${locale}]"
+                   value="${localizedVariant(btn.title, locale)}"
+                   placeholder="${locale}" dir="${isRtl(locale) ? 'rtl' : 'ltr'}"
+                   maxlength="${MAX_BUTTON_TITLE_LENGTH}">
+          `)}
+          <select name="${name}[buttons][${i}][next]">
+            ${renderStepOptions(flowConfig, btn.isNew ? null : step.next[btn.id])}
+          </select>
+          ${btn.isNew ? html`<span></span>` : html`<input type="checkbox" name="${name}[buttons][${i}][remove]" value="1">`}
+        </div>
+      `)}
+    `;
+  } else if (step.type === 'list') {
+    const perRowNext = typeof step.next === 'object';
+    nextFields = html`
+      <label>Bouton de la liste (≤ ${MAX_BUTTON_TITLE_LENGTH} caractères)</label>
+      <div class="button-row">
+        <span></span>
+        ${LOCALES.map(locale => html`
+          <input type="text" name="${name}[button][${locale}]" value="${localizedVariant(step.button, locale)}"
+                 placeholder="${locale}" dir="${isRtl(locale) ? 'rtl' : 'ltr'}" maxlength="${MAX_BUTTON_TITLE_LENGTH}">
+        `)}
+        <span></span><span></span>
+      </div>
+      <label>Lignes (id · titres ${LOCALES.join('/')} ≤ ${MAX_LIST_ROW_TITLE_LENGTH} caractères${perRowNext ? ' · étape suivante' : ''})</label>
+      ${getListRows(step).map((row, i) => html`
+        <div class="button-row">
+          <input type="text" name="${name}[rows][${i}][id]" value="${row.id}" readonly>
+          ${LOCALES.map(locale => html`
+            <input type="text" name="${name}[rows][${i}][title][${locale}]"
+                   value="${localizedVariant(row.title, locale)}"
+                   placeholder="${locale}" dir="${isRtl(locale) ? 'rtl' : 'ltr'}"
+                   maxlength="${MAX_LIST_ROW_TITLE_LENGTH}">
+          `)}
+          ${perRowNext ? html`
+            <select name="${name}[rows][${i}][next]">${renderStepOptions(flowConfig, step.next[row.id])}</select>
+          ` : html`<span></span>`}
+          <span></span>
+        </div>
+      `)}
+      ${perRowNext ? '' : html`
+        <label>Étape suivante</label>
+        <select name="${name}[next]">${renderStepOptions(flowConfig, step.next)}</select>
+      `}
+    `;
+  } else if (DATA_STEP_TYPES.includes(step.type)) {
+    nextFields = html`
+      <label>Étape suivante</label>
+      <select name="${name}[next]">${renderStepOptions(flowConfig, step.next)}</select>
+    `;
+  } else if (step.type !== 'end') {
+    nextFields = html`
+      <label>Étape suivante</label>
+      <select name="${name}[next]">${renderStepOptions(flowConfig, step.next)}</select>
+    `;
+  }
+
+  return html`
+    <div class="step-card">
+      <h3>${step.id} <span class="muted">(${step.type}${step.store ? ` → ${step.store}` : ''})</span></h3>
+      ${LOCALES.map(locale => html`
+        <label>Texte (${locale})</label>
+        <textarea name="${name}[text][${locale}]" dir="${isRtl(locale) ? 'rtl' : 'ltr'}">${localizedVariant(step.text, locale)}</textarea>
+      `)}
+      ${nextFields}
+      ${DATA_STEP_TYPES.includes(step.type) ? html`
+        <label>${FALLBACK_LABELS[step.type]}</label>
+        <select name="${name}[fallback]">${renderStepOptions(flowConfig, step.fallback)}</select>
+      ` : ''}
+    </div>
+  `;
+}
+
+function renderFlowEditor({ staff, flowConfig, versions, currentVersion, errors = [], saved = null }) {
+  return renderPage({
+    title: 'Éditeur de flow',
+    body: html`
+        <div class="header">
+            <h1>🧩 Éditeur de conversation</h1>
+            <p>
+                Flow <strong>${flowConfig.flow_name}</strong> ·
+                ${currentVersion ? `version ${currentVersion}` : 'version du fichier flows/'}
+            </p>
+            ${renderStaffBar(staff)}
+        </div>
+
+        <div class="table-container">
+            ${saved ? html`<div class="alert alert-success">✅ Version ${saved} enregistrée et active.</div>` : ''}
+            ${errors.length > 0 ? html`
+                <div class="alert alert-error">
+                    ❌ Le flow n'a pas été enregistré :
+                    <ul>${errors.map(err => html`<li>${err}</li>`)}</ul>
+                </div>
+            ` : ''}
+
+            <form method="POST" action="/admin/flows">
+                ${flowConfig.steps.map(step => renderStepEditor(flowConfig, step))}
+                <button type="submit" class="refresh-btn">💾 Enregistrer et activer</button>
+            </form>
+        </div>
+
+        <div class="table-container" style="margin-top: 30px;">
+            <h2 style="margin-bottom: 20px;">🕘 Versions</h2>
+            ${versions.length === 0 ? html`<p class="muted">Aucune version enregistrée.</p>` : html`
+            <table>
+                <thead>
+                    <tr><th>Version</th><th>Date</th><th></th></tr>
+                </thead>
+                <tbody>
+                    ${versions.map(v => html`
+                        <tr>
+                            <td><strong>${v.version}</strong>${v.version === currentVersion ? ' (active)' : ''}</td>
+                            <td>${formatDateTime(v.created_at)}</td>
+                            <td>
+                                <form method="POST" action="/admin/flows/versions/${v.version}/restore">
+                                    <button type="submit" class="refresh-btn">↩️ Restaurer</button>
+                                </form>
+                            </td>
+                        </tr>
+                    `)}
+                </tbody>
+            </table>`}
+        </div>
+    `
+  });
+}
+
+function renderQueuePage({ staff, queueStats, deadLetters }) {
+  return renderPage({
+    title: "File d'attente",
+    body: html`
+        <div class="header">
+            <h1>📬 File d'attente des messages</h1>
+            ${renderStaffBar(staff)}
+        </div>
+
+        <div class="stats">
+            <div class="stat-card">
+                <h3>⏳ Messages en attente</h3>
+                <div class="number">${queueStats.pending_jobs}</div>
+            </div>
+            <div class="stat-card">
+                <h3>☠️ Messages en échec</h3>
+                <div class="number">${queueStats.dead_letters}</div>
+            </div>
+        </div>
+
+        <div class="table-container">
+            <h2 style="margin-bottom: 20px;">☠️ Messages en échec (dead letters)</h2>
+            ${deadLetters.length === 0 ? html`<p class="muted">Aucun message en échec.</p>` : html`
+            <table>
+                <thead>
+                    <tr>
+                        <th>📞 Téléphone</th>
+                        <th>💬 Message</th>
+                        <th>❌ Erreur</th>
+                        <th>🔁 Tentatives</th>
+                        <th>📅 Date</th>
+                        <th></th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${deadLetters.map(letter => html`
+                        <tr>
+                            <td><strong>${letter.user_phone}</strong></td>
+                            <td>${describeMessage(JSON.parse(letter.payload)) ?? '-'}</td>
+                            <td class="muted">${letter.last_error || '-'}</td>
+                            <td>${letter.attempts}</td>
+                            <td>${formatDateTime(letter.created_at)}</td>
+                            <td>
+                                <form method="POST" action="/admin/queue/dead-letters/${letter.id}/retry" style="display: inline;">
+                                    <button type="submit" class="link-btn">Relancer</button>
+                                </form>
+                                <form method="POST" action="/admin/queue/dead-letters/${letter.id}/delete" style="display: inline;">
+                                    <button type="submit" class="link-btn">Supprimer</button>
+                                </form>
+                            </td>
+                        </tr>
+                    `)}
+                </tbody>
+            </table>`}
+        </div>
+    `
+  });
+}
+
+function renderConditionOptions(selected) {
+  return Object.keys(PRODUCT_CONDITIONS).map(condition => html`
+    <option value="${condition}" ${condition === selected ? 'selected' : ''}>${PRODUCT_CONDITIONS[condition].fr}</option>
+  `);
+}
+
+function renderProductsPage({ staff, products, reservations, errors = [] }) {
+  return renderPage({
+    title: 'Catalogue',
+    body: html`
+        <div class="header">
+            <h1>📦 Catalogue des téléphones</h1>
+            ${renderStaffBar(staff)}
+        </div>
+
+        <div class="table-container">
+            ${errors.length > 0 ? html`
+                <div class="alert alert-error">
+                    ❌ <ul>${errors.map(err => html`<li>${err}</li>`)}</ul>
+                </div>
+            ` : ''}
+
+            <h2 style="margin-bottom: 20px;">Produits</h2>
+            ${products.length === 0 ? html`<p class="muted">Aucun produit dans le catalogue.</p>` : html`
+            <table>
+                <thead>
+                    <tr>
+                        <th>📱 Marque</th>
+                        <th>Modèle</th>
+                        <th>💾 Stockage</th>
+                        <th>✨ État</th>
+                        <th>💰 Prix (MAD)</th>
+                        <th>📦 Stock</th>
+                        <th></th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${products.map(product => html`
+                        <tr>
+                            <td><input type="text" name="brand" value="${product.brand}" form="product-${product.id}" required></td>
+                            <td><input type="text" name="model" value="${product.model}" form="product-${product.id}" required></td>
+                            <td><input type="text" name="storage" value="${product.storage || ''}" form="product-${product.id}"></td>
+                            <td><select name="condition" form="product-${product.id}">${renderConditionOptions(product.condition)}</select></td>
+                            <td><input type="number" name="price" value="${product.price}" min="1" form="product-${product.id}" required></td>
+                            <td><input type="number" name="stock" value="${product.stock}" min="0" form="product-${product.id}" required></td>
+                            <td>
+                                <form method="POST" action="/admin/products/${product.id}" id="product-${product.id}" style="display: inline;">
+                                    <button type="submit" class="link-btn">Enregistrer</button>
+                                </form>
+                                <form method="POST" action="/admin/products/${product.id}/delete" style="display: inline;">
+                                    <button type="submit" class="link-btn">Supprimer</button>
+                                </form>
+                            </td>
+                        </tr>
+                    `)}
+                </tbody>
+            </table>`}
+
+            <form method="POST" action="/admin/products" class="step-card" style="margin-top: 20px;">
+                <h3>Nouveau produit</h3>
+                <label>Marque (comme dans la conversation, ex: Apple, Samsung)</label>
+                <input type="text" name="brand" required>
+                <label>Modèle</label>
+                <input type="text" name="model" required>
+                <label>Stockage (ex: 128 Go)</label>
+                <input type="text" name="storage">
+                <label>État</label>
+                <select name="condition">${renderConditionOptions('neuf')}</select>
+                <label>Prix (MAD)</label>
+                <input type="number" name="price" min="1" required>
+                <label>Stock</label>
+                <input type="number" name="stock" min="0" value="1" required>
+                <button type="submit" class="refresh-btn" style="margin: 20px 0 0;">Ajouter</button>
+            </form>
+        </div>
+
+        <div class="table-container" style="margin-top: 30px;">
+            <h2 style="margin-bottom: 20px;">🛍️ Dernières réservations</h2>
+            ${reservations.length === 0 ? html`<p class="muted">Aucune réservation.</p>` : html`
+            <table>
+                <thead>
+                    <tr><th>📞 Téléphone</th><th>📱 Produit</th><th>💰 Prix</th><th>📅 Date</th></tr>
+                </thead>
+                <tbody>
+                    ${reservations.map(reservation => html`
+                        <tr>
+                            <td><a href="/admin/conversations/${encodeURIComponent(reservation.user_phone)}"><strong>${reservation.user_phone}</strong></a></td>
+                            <td>${reservation.brand ? productLabel(reservation) : html`<span class="muted">Produit supprimé</span>`}</td>
+                            <td>${formatPrice(reservation.price)}</td>
+                            <td>${formatDateTime(reservation.created_at)}</td>
+                        </tr>
+                    `)}
+                </tbody>
+            </table>`}
+        </div>
+    `
+  });
+}
+
+function renderPricingPage({ staff, rules, errors = [] }) {
+  return renderPage({
+    title: 'Tarifs de reprise',
+    body: html`
+        <div class="header">
+            <h1>💰 Tarifs de reprise</h1>
+            ${renderStaffBar(staff)}
+        </div>
+
+        <div class="table-container">
+            ${errors.length > 0 ? html`
+                <div class="alert alert-error">
+                    ❌ <ul>${errors.map(err => html`<li>${err}</li>`)}</ul>
+                </div>
+            ` : ''}
+
+            <p class="muted" style="margin-bottom: 20px;">
+                Estimation = prix de base × coefficient de l'état, ± ${ESTIMATE_SPREAD * 100}%.
+                Un modèle vide s'applique à toute la marque ; le modèle le plus précis l'emporte.
+            </p>
+            ${rules.length === 0 ? html`<p class="muted">Aucun tarif.</p>` : html`
+            <table>
+                <thead>
+                    <tr>
+                        <th>📱 Marque</th>
+                        <th>Modèle</th>
+                        <th>💾 Stockage</th>
+                        <th>💰 Prix de base (MAD)</th>
+                        <th>× Neuf</th>
+                        <th>× Bon</th>
+                        <th>× Cassé</th>
+                        <th></th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${rules.map(rule => html`
+                        <tr>
+                            <td><input type="text" name="brand" value="${rule.brand}" form="rule-${rule.id}" required></td>
+                            <td><input type="text" name="model" value="${rule.model}" form="rule-${rule.id}"></td>
+                            <td><input type="text" name="storage" value="${rule.storage || ''}" form="rule-${rule.id}"></td>
+                            <td><input type="number" name="base_price" value="${rule.base_price}" min="1" form="rule-${rule.id}" required></td>
+                            ${TRADE_IN_CONDITIONS.map(condition => html`
+                                <td><input type="number" name="multiplier_${condition}" value="${rule[`multiplier_${condition}`]}"
+                                           min="0" step="0.05" form="rule-${rule.id}" required></td>
+                            `)}
+                            <td>
+                                <form method="POST" action="/admin/pricing/${rule.id}" id="rule-${rule.id}" style="display: inline;">
+                                    <button type="submit" class="link-btn">Enregistrer</button>
+                                </form>
+                                <form method="POST" action="/admin/pricing/${rule.id}/delete" style="display: inline;">
+                                    <button type="submit" class="link-btn">Supprimer</button>
+                                </form>
+                            </td>
+                        </tr>
+                    `)}
+                </tbody>
+            </table>`}
+
+            <form method="POST" action="/admin/pricing" class="step-card" style="margin-top: 20px;">
+                <h3>Nouveau tarif</h3>
+                <label>Marque (comme dans la conversation, ex: Apple, Samsung)</label>
+                <input type="text" name="brand" required>
+                <label>Modèle (vide = toute la marque)</label>
+                <input type="text" name="model">
+                <label>Stockage (ex: 128 Go)</label>
+                <input type="text" name="storage">
+                <label>Prix de base (MAD, téléphone neuf)</label>
+                <input type="number" name="base_price" min="1" required>
+                <label>Coefficients Neuf / Bon / Cassé</label>
+                <input type="number" name="multiplier_neuf" value="1" min="0" step="0.05" required>
+                <input type="number" name="multiplier_bon" value="0.8" min="0" step="0.05" required>
+                <input type="number" name="multiplier_casse" value="0.4" min="0" step="0.05" required>
+                <button type="submit" class="refresh-btn" style="margin: 20px 0 0;">Ajouter</button>
+            </form>
+        </div>
+    `
+  });
+}
+
+function renderRepairPricesPage({ staff, prices, errors = [] }) {
+  return renderPage({
+    title: 'Tarifs de réparation',
+    body: html`
+        <div class="header">
+            <h1>🔧 Tarifs de réparation</h1>
+            ${renderStaffBar(staff)}
+        </div>
+
+        <div class="table-container">
+            ${errors.length > 0 ? html`
+                <div class="alert alert-error">
+                    ❌ <ul>${errors.map(err => html`<li>${err}</li>`)}</ul>
+                </div>
+            ` : ''}
+
+            <p class="muted" style="margin-bottom: 20px;">
+                Devis = pièces + main d'œuvre. Un modèle vide s'applique à toute la marque ; le modèle le plus précis l'emporte.
+                Les problèmes sans tarif (ex: autre) restent en devis manuel.
+            </p>
+            ${prices.length === 0 ? html`<p class="muted">Aucun tarif.</p>` : html`
+            <table>
+                <thead>
+                    <tr>
+                        <th>📱 Marque</th>
+                        <th>Modèle</th>
+                        <th>🔧 Problème</th>
+                        <th>🔩 Pièces (MAD)</th>
+                        <th>🛠️ Main d'œuvre (MAD)</th>
+                        <th>⏱️ Délai (heures)</th>
+                        <th></th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${prices.map(price => html`
+                        <tr>
+                            <td><input type="text" name="brand" value="${price.brand}" form="repair-${price.id}" required></td>
+                            <td><input type="text" name="model" value="${price.model}" form="repair-${price.id}"></td>
+                            <td><input type="text" name="issue" value="${price.issue}" list="repair-issues" form="repair-${price.id}" required></td>
+                            <td><input type="number" name="parts_cost" value="${price.parts_cost}" min="0" form="repair-${price.id}" required></td>
+                            <td><input type="number" name="labour_cost" value="${price.labour_cost}" min="0" form="repair-${price.id}" required></td>
+                            <td><input type="number" name="turnaround_hours" value="${price.turnaround_hours}" min="1" form="repair-${price.id}" required></td>
+                            <td>
+                                <form method="POST" action="/admin/repair-prices/${price.id}" id="repair-${price.id}" style="display: inline;">
+                                    <button type="submit" class="link-btn">Enregistrer</button>
+                                </form>
+                                <form method="POST" action="/admin/repair-prices/${price.id}/delete" style="display: inline;">
+                                    <button type="submit" class="link-btn">Supprimer</button>
+                                </form>
+                            </td>
+                        </tr>
+                    `)}
+                </tbody>
+            </table>`}
+
+            <datalist id="repair-issues">
+                ${REPAIR_ISSUES.map(issue => html`<option value="${issue}">`)}
+            </datalist>
+
+            <form method="POST" action="/admin/repair-prices" class="step-card" style="margin-top: 20px;">
+                <h3>Nouveau tarif</h3>
+                <label>Marque (comme dans la conversation, ex: Apple, Samsung)</label>
+                <input type="text" name="brand" required>
+                <label>Modèle (vide = toute la marque)</label>
+                <input type="text" name="model">
+                <label>Problème (id du bouton, ex: ${REPAIR_ISSUES.join(', ')})</label>
+                <input type="text" name="issue" list="repair-issues" required>
+                <label>Pièces (MAD)</label>
+                <input type="number" name="parts_cost" min="0" required>
+                <label>Main d'œuvre (MAD)</label>
+                <input type="number" name="labour_cost" min="0" required>
+                <label>Délai (heures)</label>
+                <input type="number" name="turnaround_hours" min="1" value="24" required>
+                <button type="submit" class="refresh-btn" style="margin: 20px 0 0;">Ajouter</button>
+            </form>
+        </div>
+    `
+  });
+}
+
+const WEEKDAYS = ['Dimanche', 'Lundi', 'Mardi', 'Mercredi', 'Jeudi', 'Vendredi', 'Samedi'];
+
+// Slots of the day (opening hours and booked times) with their appointments
+function calendarRows(day, hours, appointments) {
+  const times = new Set(daySlots(day, hours).map(date => toLocalDateTime(date).slice(11)));
+  appointments.forEach(appointment => times.add(appointment.starts_at.slice(11)));
+  return [...times].sort().map(time => ({
+    time,
+    appointments: appointments.filter(appointment => appointment.starts_at.slice(11) === time)
+  }));
+}
+
+function renderAppointmentsPage({ staff, day, openingHours, appointments, errors = [] }) {
+  const hours = openingHours.find(row => row.weekday === day.getDay());
+  const rows = calendarRows(day, hours, appointments);
+  const dayValue = toLocalDateTime(day).slice(0, 10);
+  const shiftDay = offset => toLocalDateTime(new Date(day.getFullYear(), day.getMonth(), day.getDate() + offset)).slice(0, 10);
+  const booked = list => list.filter(appointment => appointment.status === 'booked');
+
+  return renderPage({
+    title: 'Rendez-vous',
+    body: html`
+        <div class="header">
+            <h1>📅 Rendez-vous</h1>
+            ${renderStaffBar(staff)}
+        </div>
+
+        <div class="table-container">
+            <form method="GET" action="/admin/appointments" class="calendar-nav">
+                <a class="nav-link" href="/admin/appointments?date=${shiftDay(-1)}">◀</a>
+                <input type="date" name="date" value="${dayValue}" onchange="this.form.submit()">
+                <a class="nav-link" href="/admin/appointments?date=${shiftDay(1)}">▶</a>
+                <a class="nav-link" href="/admin/appointments">Aujourd'hui</a>
+            </form>
+            <h2 style="margin: 20px 0;">${formatDay(day, 'fr')} · ${booked(appointments).length} rendez-vous</h2>
+
+            ${rows.length === 0 ? html`<p class="muted">Boutique fermée ce jour-là.</p>` : html`
+            <table>
+                <thead>
+                    <tr><th>🕐 Créneau</th><th>👥 Places</th><th>📞 Clients</th></tr>
+                </thead>
+                <tbody>
+                    ${rows.map(row => html`
+                        <tr>
+                            <td><strong>${row.time}</strong></td>
+                            <td>${booked(row.appointments).length} / ${hours && hours.opens ? hours.capacity : 0}</td>
+                            <td>
+                                ${row.appointments.length === 0 ? html`<span class="muted">Libre</span>` : ''}
+                                ${row.appointments.map(appointment => html`
+                                    <div class="${appointment.status === 'cancelled' ? 'muted cancelled' : ''}">
+                                        <a href="/admin/conversations/${encodeURIComponent(appointment.user_phone)}"><strong>${appointment.user_phone}</strong></a>
+                                        ${appointment.brand || ''} ${appointment.model || ''} · ${appointment.issue || '-'} ${appointment.issue_detail || ''}
+                                        ${appointment.status === 'booked' ? html`
+                                            <form method="POST" action="/admin/appointments/${appointment.id}/cancel" style="display: inline;">
+                                                <input type="hidden" name="date" value="${dayValue}">
+                                                <button type="submit" class="link-btn">Annuler</button>
+                                            </form>
+                                        ` : html`(annulé)`}
+                                    </div>
+                                `)}
+                            </td>
+                        </tr>
+                    `)}
+                </tbody>
+            </table>`}
+        </div>
+
+        ${staff.role === 'admin' ? html`
+        <div class="table-container" style="margin-top: 30px;">
+            <h2 style="margin-bottom: 20px;">🕐 Horaires et capacité</h2>
+            ${errors.length > 0 ? html`
+                <div class="alert alert-error">
+                    ❌ <ul>${errors.map(err => html`<li>${err}</li>`)}</ul>
+                </div>
+            ` : ''}
+            <p class="muted" style="margin-bottom: 20px;">
+                Créneaux de ${SLOT_MINUTES} min. Capacité = rendez-vous acceptés par créneau (techniciens disponibles).
+                Laissez les heures vides pour un jour de fermeture.
+            </p>
+            <form method="POST" action="/admin/appointments/hours">
+                <table>
+                    <thead>
+                        <tr><th>Jour</th><th>Ouverture</th><th>Fermeture</th><th>Capacité</th></tr>
+                    </thead>
+                    <tbody>
+                        ${[1, 2, 3, 4, 5, 6, 0].map(weekday => {
+                          const row = openingHours.find(h => h.weekday === weekday) || {};
+                          return html`
+                            <tr>
+                                <td><strong>${WEEKDAYS[weekday]}</strong></td>
+                                <td><input type="time" name="hours[${weekday}][opens]" value="${row.opens || ''}"></td>
+                                <td><input type="time" name="hours[${weekday}][closes]" value="${row.closes || ''}"></td>
+                                <td><input type="number" name="hours[${weekday}][capacity]" value="${row.capacity ?? 1}" min="0"></td>
+                            </tr>
+                          `;
+                        })}
+                    </tbody>
+                </table>
+                <button type="submit" class="refresh-btn" style="margin: 20px 0 0;">Enregistrer</button>
+            </form>
+        </div>
+        ` : ''}
+    `
+  });
+}
+
+function renderTicketsPage({ staff, tickets, notice = null }) {
+  return renderPage({
+    title: 'Réparations',
+    body: html`
+        <div class="header">
+            <h1>🎫 Suivi des réparations</h1>
+            ${renderStaffBar(staff)}
+        </div>
+
+        ${notice ? html`
+            <div class="alert ${notice.error ? 'alert-error' : 'alert-success'}">
+                ${notice.error
+                  ? html`⚠️ Statut de la demande #${notice.id} (${notice.phone}) mis à jour, mais le message WhatsApp n'a pas pu être envoyé : ${notice.error}`
+                  : html`✅ Statut de la demande #${notice.id} (${notice.phone}) mis à jour${notice.notified ? ', client prévenu sur WhatsApp' : ''}.`}
+            </div>
+        ` : ''}
+
+        ${Object.keys(TICKET_STATUSES).map(status => {
+          const group = tickets.filter(ticket => (ticket.status || 'pending') === status);
+          return html`
+            <div class="table-container" style="margin-bottom: 20px;">
+                <h2 style="margin-bottom: 15px;">${TICKET_STATUSES[status].label} <span class="muted">(${group.length})</span></h2>
+                ${group.length === 0 ? html`<p class="muted">Aucun ticket.</p>` : html`
+                <table>
+                    <thead>
+                        <tr><th>🧾 Demande</th><th>📞 Téléphone</th><th>📱 Appareil</th><th>🔧 Problème</th><th>💶 Devis</th><th>📅 Rendez-vous</th><th>🕐 Mis à jour</th><th>➡️ Statut</th></tr>
+                    </thead>
+                    <tbody>
+                        ${group.map(ticket => html`
+                            <tr>
+                                <td>#${ticket.id}</td>
+                                <td><a href="/admin/conversations/${encodeURIComponent(ticket.user_phone)}"><strong>${ticket.user_phone}</strong></a></td>
+                                <td>${ticket.brand || '-'} ${ticket.model || ''}</td>
+                                <td>${ticket.issue || '-'} ${ticket.issue_detail || ''}</td>
+                                <td>${ticket.quote_status ? formatPriceRange({ low: ticket.quote_low, high: ticket.quote_high }) : '-'}</td>
+                                <td>${ticket.appointment || '-'}</td>
+                                <td>${formatDateTime(ticket.updated_at)}</td>
+                                <td>
+                                    ${nextTicketStatuses(ticket).length === 0 ? html`<span class="muted">-</span>` : html`
+                                    <form method="POST" action="/admin/tickets/${ticket.id}/status" class="quote-form">
+                                        <select name="status">
+                                            ${nextTicketStatuses(ticket).map(option => html`
+                                                <option value="${option}">${TICKET_STATUSES[option].label}</option>
+                                            `)}
+                                        </select>
+                                        <button type="submit" class="link-btn">Déplacer</button>
+                                    </form>`}
+                                </td>
+                            </tr>
+                        `)}
+                    </tbody>
+                </table>`}
+            </div>
+          `;
+        })}
+    `
+  });
+}
+
+// Inline preview of a media message
+function renderMedia(message) {
+  if (!message.media_type) return '';
+  const url = message.media_ref ? `/admin/media/${encodeURIComponent(message.media_ref)}` : null;
+
+  switch (message.media_type) {
+    case 'image':
+      return html`<a href="${url}" target="_blank"><img class="media-image" src="${url}" alt="Photo"></a>`;
+    case 'audio':
+      return html`<audio controls src="${url}"></audio>`;
+    case 'document':
+      return html`<a href="${url}" target="_blank">📄 ${message.media_ref}</a>`;
+    case 'location':
+      return html`<a href="https://www.google.com/maps?q=${encodeURIComponent(message.media_ref)}" target="_blank">📍 ${message.media_ref}</a>`;
+    default:
+      return '';
+  }
+}
+
+const QUOTE_KINDS = { trade_in: 'Reprise', repair: 'Réparation' };
+
+function renderQuoteHistory(quotes) {
+  if (quotes.length === 0) return '';
+  return html`
+    <div class="table-container" style="margin-bottom: 30px;">
+        <h2 style="margin-bottom: 20px;">💶 Devis</h2>
+        <table>
+            <thead>
+                <tr><th>Version</th><th>🧾 Demande</th><th>Type</th><th>💰 Prix</th><th>Détail</th><th>📊 Statut</th><th>📅 Date</th></tr>
+            </thead>
+            <tbody>
+                ${quotes.map(quote => html`
+                    <tr>
+                        <td>v${quote.version}</td>
+                        <td>${quote.request_id ? `#${quote.request_id}` : '-'}</td>
+                        <td>${QUOTE_KINDS[quote.kind] || quote.kind}</td>
+                        <td><strong>${formatPriceRange(quote)}</strong></td>
+                        <td class="muted">
+                            ${quote.details.condition ? `État : ${quote.details.condition}` : ''}
+                            ${quote.details.issue ? `${quote.details.issue} · pièces ${formatPrice(quote.details.parts_cost)} · main d'œuvre ${formatPrice(quote.details.labour_cost)} · ${formatTurnaround(quote.details.turnaround_hours, 'fr')}` : ''}
+                        </td>
+                        <td>
+                            ${quote.status === 'confirmed'
+                              ? html`<span class="badge badge-confirmed">Confirmé</span> ${quote.created_by || ''}`
+                              : html`<span class="badge badge-estimate">Estimation</span>`}
+                        </td>
+                        <td>${formatDateTime(quote.created_at)}</td>
+                    </tr>
+                `)}
+            </tbody>
+        </table>
+    </div>
+  `;
+}
+
+// Request fields staff can correct from the conversation page
+// (photo, product and appointment reflect what was sent or booked and stay read-only)
+const EDITABLE_REQUEST_FIELDS = {
+  intent: '🎯 Type',
+  brand: '📱 Marque',
+  model: 'Modèle',
+  budget: '💰 Budget',
+  condition: '📊 État',
+  issue: '🔧 Problème',
+  issue_detail: 'Détail du problème',
+  location: '📍 Position'
+};
+
+// Customer tags: short lower-case labels ("  VIP Client " -> "vip-client")
+const MAX_TAG_LENGTH = 30;
+
+function normalizeTag(text) {
+  return (text || '').trim().toLowerCase().replace(/\s+/g, '-').slice(0, MAX_TAG_LENGTH);
+}
+
+function renderRequestEditor(request) {
+  return html`
+    <form method="POST" action="/admin/requests/${request.id}" class="step-card">
+        <h3>
+            🧾 Demande #${request.id}
+            ${request.intent ? html`<span class="badge badge-${request.intent}">${request.intent.toUpperCase()}</span>` : ''}
+        </h3>
+        <p class="muted">
+            ${formatDateTime(request.created_at)} · ${request.completed_at ? 'terminée' : '⏳ en cours'}
+            ${request.intent === 'repair' && TICKET_STATUSES[request.status] ? html` · 🎫 ${TICKET_STATUSES[request.status].label}` : ''}
+        </p>
+        ${Object.entries(EDITABLE_REQUEST_FIELDS).map(([field, label]) => html`
+            <label>${label}</label>
+            ${field === 'intent' ? html`
+                <select name="intent">
+                    <option value="">-</option>
+                    ${INTENTS.map(intent => html`<option value="${intent}" ${request.intent === intent ? 'selected' : ''}>${intent.toUpperCase()}</option>`)}
+                </select>
+            ` : html`<input type="text" name="${field}" value="${request[field] || ''}">`}
+        `)}
+        ${request.photo ? html`<p style="margin-top: 10px;"><a href="/admin/media/${encodeURIComponent(request.photo)}" target="_blank">📷 Photo</a></p>` : ''}
+        ${request.product ? html`<p class="muted" style="margin-top: 10px;">🛍️ ${request.product}</p>` : ''}
+        ${request.appointment ? html`<p class="muted" style="margin-top: 10px;">📅 ${request.appointment}</p>` : ''}
+        <p class="muted" style="margin-top: 10px;">💶 ${renderQuote(request)}</p>
+        <button type="submit" class="refresh-btn" style="margin: 15px 0 0;">Enregistrer</button>
+    </form>
+  `;
+}
+
+function renderConversationPage({ staff, phone, user = null, chat = null, messages, quotes = [], requests = [], notes = [], tags = [], errors = [] }) {
+  const base = `/admin/users/${encodeURIComponent(phone)}`;
+  return renderPage({
+    title: `Conversation ${phone}`,
+    body: html`
+        <div class="header">
+            <h1>💬 Conversation avec ${phone}</h1>
+            ${renderStaffBar(staff)}
+            <a class="nav-link" href="/admin/inbox?phone=${encodeURIComponent(phone)}">✍️ Répondre</a>
+            ${staff.role === 'admin' ? html`
+                <a class="nav-link" href="/admin/export/conversations.xlsx?phone=${encodeURIComponent(phone)}">📥 Excel</a>
+                <a class="nav-link" href="/admin/export/conversations.csv?phone=${encodeURIComponent(phone)}">📥 CSV</a>
+            ` : ''}
+        </div>
+
+        ${errors.length > 0 ? html`
+            <div class="alert alert-error">
+                ⚠️ Modification refusée :
+                <ul>${errors.map(error => html`<li>${error}</li>`)}</ul>
+            </div>
+        ` : ''}
+
+        <div class="conversation">
+            <div class="table-container">
+                <div class="chat" id="chat">
+                    ${messages.length === 0 ? html`<p class="muted">Aucun message.</p>` : messages.map(renderBubble)}
+                </div>
+            </div>
+
+            <div>
+                <div class="table-container" style="margin-bottom: 20px;">
+                    <h2 style="margin-bottom: 10px;">👤 Client</h2>
+                    ${user ? html`
+                        <p class="muted">
+                            🌐 ${user.locale ? user.locale.toUpperCase() : '-'} ·
+                            ${chat ? chatModeLabel(chat) : ''} ·
+                            client depuis le ${formatDate(user.created_at)}
+                        </p>
+                    ` : html`<p class="muted">Client inconnu.</p>`}
+
+                    <h3 style="margin: 20px 0 10px;">🏷️ Tags</h3>
+                    <p>
+                        ${tags.length === 0 ? html`<span class="muted">Aucun tag.</span>` : tags.map(tag => html`
+                            <form method="POST" action="${base}/tags/${encodeURIComponent(tag)}/delete" style="display: inline;">
+                                <span class="badge badge-tag">${tag} <button type="submit" class="tag-remove" title="Retirer">×</button></span>
+                            </form>
+                        `)}
+                    </p>
+                    <form method="POST" action="${base}/tags" class="quote-form">
+                        <input type="text" name="tag" maxlength="${MAX_TAG_LENGTH}" placeholder="vip, pro, à rappeler..." required>
+                        <button type="submit" class="link-btn">Ajouter</button>
+                    </form>
+
+                    <h3 style="margin: 20px 0 10px;">📝 Notes</h3>
+                    <form method="POST" action="${base}/notes" class="reply-form" style="margin-bottom: 15px;">
+                        <textarea name="text" required placeholder="Note visible par l'équipe..."></textarea>
+                        <button type="submit" class="link-btn">Ajouter</button>
+                    </form>
+                    ${notes.length === 0 ? html`<p class="muted">Aucune note.</p>` : notes.map(note => html`
+                        <div class="note">
+                            <div class="message-text">${note.text}</div>
+                            <span class="muted">${note.created_by || '-'} · ${formatDateTime(note.created_at)}</span>
+                            <form method="POST" action="${base}/notes/${note.id}/delete" style="display: inline;">
+                                <button type="submit" class="link-btn">Supprimer</button>
+                            </form>
+                        </div>
+                    `)}
+                </div>
+
+                <div class="table-container">
+                    <h2 style="margin-bottom: 15px;">🧾 Demandes</h2>
+                    ${requests.length === 0 ? html`<p class="muted">Aucune demande.</p>` : requests.map(renderRequestEditor)}
+                </div>
+            </div>
+        </div>
+
+        <div style="margin-top: 30px;">
+            ${renderQuoteHistory(quotes)}
+        </div>
+
+        <script>
+            var chat = document.getElementById('chat');
+            chat.scrollTop = chat.scrollHeight;
+        </script>
+    `
+  });
+}
+
+// Who wrote a conversation message
+function messageAuthor(message) {
+  if (message.message_type === 'incoming') return '⬅️ Client';
+  if (message.message_type === 'agent') return `👤 ${message.sent_by || 'Conseiller'}`;
+  return '➡️ Bot';
+}
+
+// Who answers a conversation
+function chatModeLabel({ chat_mode: mode, assigned_agent: agent }) {
+  if (mode !== 'human') return '🤖 Bot';
+  return agent ? `👤 ${agent}` : "👤 En attente d'un conseiller";
+}
+
+function renderBubble(message) {
+  return html`<div class="bubble bubble-${message.message_type}">${message.message_text}${renderMedia(message)}<span class="bubble-meta">${messageAuthor(message)}${message.step_id ? ` · 🧩 ${message.step_id}` : ''} · ${formatDateTime(message.created_at)}</span></div>`;
+}
+
+function renderInboxItem(conversation, selectedPhone) {
+  const waiting = conversation.chat_mode === 'human' && conversation.last_message_type === 'incoming';
+  return html`
+    <a class="inbox-item ${conversation.phone_number === selectedPhone ? 'selected' : ''} ${waiting ? 'unread' : ''}"
+       href="/admin/inbox?phone=${encodeURIComponent(conversation.phone_number)}" data-phone="${conversation.phone_number}">
+        <strong>${conversation.phone_number}</strong>
+        <span class="inbox-mode muted">${chatModeLabel(conversation)}</span>
+        <span class="inbox-preview muted">${conversation.last_message_text || (conversation.last_media_type ? `📎 ${conversation.last_media_type}` : '')}</span>
+    </a>
+  `;
+}
+
+function renderInboxPage({ staff, conversations, phone = null, messages = [], chat = null, notice = null, draft = '' }) {
+  const ownedByMe = chat && chat.chat_mode === 'human' && chat.assigned_agent === staff.username;
+  return renderPage({
+    title: 'Messages',
+    body: html`
+        <div class="header">
+            <h1>💬 Messages</h1>
+            <p>Conversations suivies par un conseiller et actives depuis ${INBOX_RECENT_HOURS} h</p>
+            ${renderStaffBar(staff)}
+        </div>
+
+        ${notice ? html`<div class="alert alert-error">⚠️ ${notice}</div>` : ''}
+
+        <div class="inbox">
+            <div class="table-container" id="inbox-list" style="padding: 0;">
+                ${conversations.length === 0 ? html`<p class="muted" id="inbox-empty" style="padding: 20px;">Aucune conversation récente.</p>` : ''}
+                ${conversations.map(conversation => renderInboxItem(conversation, phone))}
+            </div>
+
+            <div class="table-container">
+                ${phone ? html`
+                    <div class="calendar-nav" style="justify-content: space-between; margin-bottom: 15px;">
+                        <h2>${phone} <span class="muted" id="chat-mode">${chatModeLabel(chat)}</span></h2>
+                        <div>
+                            <a class="nav-link" href="/admin/conversations/${encodeURIComponent(phone)}">📜 Historique</a>
+                            ${ownedByMe ? '' : html`
+                                <form method="POST" action="/admin/inbox/${encodeURIComponent(phone)}/take" style="display: inline;">
+                                    <button type="submit" class="link-btn">👤 Prendre en charge</button>
+                                </form>
+                            `}
+                            ${chat.chat_mode === 'human' ? html`
+                                <form method="POST" action="/admin/inbox/${encodeURIComponent(phone)}/release" style="display: inline;">
+                                    <button type="submit" class="link-btn">🤖 Rendre au bot</button>
+                                </form>
+                            ` : ''}
+                        </div>
+                    </div>
+
+                    <div class="chat" id="chat" data-phone="${phone}">
+                        ${messages.length === 0 ? html`<p class="muted">Aucun message.</p>` : messages.map(renderBubble)}
+                    </div>
+
+                    <form method="POST" action="/admin/inbox/${encodeURIComponent(phone)}/reply" class="reply-form">
+                        <textarea name="text" required placeholder="Votre réponse...">${draft}</textarea>
+                        <button type="submit" class="refresh-btn" style="margin-left: 0;">Envoyer</button>
+                    </form>
+                    <p class="muted" style="margin-top: 10px;">
+                        Répondre vous attribue la conversation : le bot ne répond plus jusqu'à ce que le client tape 'menu' ou que vous la rendiez au bot.
+                    </p>
+                ` : html`<p class="muted">Choisissez une conversation.</p>`}
+            </div>
+        </div>
+
+        <script>
+            // Live updates from /admin/events
+            (function () {
+                var list = document.getElementById('inbox-list');
+                var chat = document.getElementById('chat');
+                var current = chat ? chat.dataset.phone : null;
+                var events = new EventSource('/admin/events');
+
+                function author(message) {
+                    if (message.message_type === 'incoming') return '⬅️ Client';
+                    if (message.message_type === 'agent') return '👤 ' + (message.sent_by || 'Conseiller');
+                    return '➡️ Bot';
+                }
+
+                function modeLabel(change) {
+                    if (change.chat_mode !== 'human') return '🤖 Bot';
+                    return change.assigned_agent ? '👤 ' + change.assigned_agent : "👤 En attente d'un conseiller";
+                }
+
+                function preview(message) {
+                    return message.message_text || (message.media_type ? '📎 ' + message.media_type : '');
+                }
+
+                function findItem(phone) {
+                    return Array.prototype.find.call(list.querySelectorAll('.inbox-item'), function (item) {
+                        return item.dataset.phone === phone;
+                    });
+                }
+
+                function addBubble(message) {
+                    var bubble = document.createElement('div');
+                    bubble.className = 'bubble bubble-' + message.message_type;
+                    bubble.textContent = message.message_text || '';
+                    if (message.media_ref) {
+                        var link = document.createElement('a');
+                        link.target = '_blank';
+                        link.href = message.media_type === 'location'
+                            ? 'https://www.google.com/maps?q=' + encodeURIComponent(message.media_ref)
+                            : '/admin/media/' + encodeURIComponent(message.media_ref);
+                        link.textContent = ' 📎 ' + message.media_type;
+                        bubble.appendChild(link);
+                    }
+                    var meta = document.createElement('span');
+                    meta.className = 'bubble-meta';
+                    meta.textContent = author(message) + (message.step_id ? ' · 🧩 ' + message.step_id : '') +
+                        ' · ' + new Date(message.created_at).toLocaleString('fr-FR');
+                    bubble.appendChild(meta);
+                    chat.appendChild(bubble);
+                    chat.scrollTop = chat.scrollHeight;
+                }
+
+                events.addEventListener('message', function (event) {
+                    var message = JSON.parse(event.data);
+                    if (message.user_phone === current) addBubble(message);
+
+                    var item = findItem(message.user_phone);
+                    if (!item) {
+                        item = document.createElement('a');
+                        item.className = 'inbox-item';
+                        item.href = '/admin/inbox?phone=' + encodeURIComponent(message.user_phone);
+                        item.dataset.phone = message.user_phone;
+                        item.innerHTML = '<strong></strong> <span class="inbox-mode muted">🤖 Bot</span><span class="inbox-preview muted"></span>';
+                        item.querySelector('strong').textContent = message.user_phone;
+                        var empty = document.getElementById('inbox-empty');
+                        if (empty) empty.remove();
+                    }
+                    item.querySelector('.inbox-preview').textContent = preview(message);
+                    if (message.message_type === 'incoming' && message.user_phone !== current) item.classList.add('unread');
+                    list.insertBefore(item, list.firstChild);
+                });
+
+                events.addEventListener('mode', function (event) {
+                    var change = JSON.parse(event.data);
+                    var item = findItem(change.user_phone);
+                    if (item) item.querySelector('.inbox-mode').textContent = modeLabel(change);
+                    if (change.user_phone === current) document.getElementById('chat-mode').textContent = modeLabel(change);
+                });
+
+                if (chat) chat.scrollTop = chat.scrollHeight;
+            })();
+        </script>
+    `
+  });
+}
+
+// Logged-in staff member + navigation (shown in every admin header)
+function renderStaffBar(staff) {
+  if (!staff) return '';
+  return html`
+    <p class="staff-bar">
+        <a class="nav-link" href="/admin">📊 Dashboard</a>
+        <a class="nav-link" href="/admin/inbox">💬 Messages</a>
+        <a class="nav-link" href="/admin/appointments">📅 Rendez-vous</a>
+        <a class="nav-link" href="/admin/tickets">🎫 Réparations</a>
+        ${staff.role === 'admin' ? html`
+            <a class="nav-link" href="/admin/flows">🧩 Éditer la conversation</a>
+            <a class="nav-link" href="/admin/products">📦 Catalogue</a>
+            <a class="nav-link" href="/admin/pricing">💰 Tarifs de reprise</a>
+            <a class="nav-link" href="/admin/repair-prices">🔧 Tarifs réparation</a>
+            <a class="nav-link" href="/admin/staff">👥 Équipe & API</a>
+            <a class="nav-link" href="/admin/queue">📬 File d'attente</a>
+        ` : ''}
+        <span class="muted">${staff.username} (${staff.role})</span>
+        <form method="POST" action="/admin/logout" style="display: inline;">
+            <button type="submit" class="link-btn">Se déconnecter</button>
+        </form>
+    </p>
+  `;
+}
+
+function renderLoginPage({ error = null, next = '/admin' } = {}) {
+  return renderPage({
+    title: 'Connexion',
+    containerStyle: 'max-width: 420px;',
+    body: html`
+        <div class="header">
+            <h1>🔐 Connexion</h1>
+            <p>SmartFix Mobile - Admin</p>
+        </div>
+        <div class="table-container">
+            ${error ? html`<div class="alert alert-error">❌ ${error}</div>` : ''}
+            <form method="POST" action="/admin/login" class="step-card">
+                <input type="hidden" name="next" value="${next}">
+                <label>Nom d'utilisateur</label>
+                <input type="text" name="username" autocomplete="username" required autofocus>
+                <label>Mot de passe</label>
+                <input type="password" name="password" autocomplete="current-password" required>
+                <button type="submit" class="refresh-btn" style="margin: 20px 0 0;">Se connecter</button>
+            </form>
+        </div>
+    `
+  });
+}
+
+function renderStaffPage({ staff, staffUsers, apiTokens, newToken = null, errors = [] }) {
+  return renderPage({
+    title: 'Équipe & API',
+    body: html`
+        <div class="header">
+            <h1>👥 Équipe & accès API</h1>
+            ${renderStaffBar(staff)}
+        </div>
+
+        <div class="table-container">
+            ${errors.length > 0 ? html`
+                <div class="alert alert-error">
+                    ❌ <ul>${errors.map(err => html`<li>${err}</li>`)}</ul>
+                </div>
+            ` : ''}
+            ${newToken ? html`
+                <div class="alert alert-success">
+                    ✅ Token créé. Copiez-le maintenant, il ne sera plus affiché :<br>
+                    <code>${newToken}</code>
+                </div>
+            ` : ''}
+
+            <h2 style="margin-bottom: 20px;">Comptes</h2>
+            <table>
+                <thead>
+                    <tr><th>Utilisateur</th><th>Rôle</th><th>Créé le</th></tr>
+                </thead>
+                <tbody>
+                    ${staffUsers.map(user => html`
+                        <tr>
+                            <td><strong>${user.username}</strong></td>
+                            <td>${user.role}</td>
+                            <td>${formatDate(user.created_at)}</td>
+                        </tr>
+                    `)}
+                </tbody>
+            </table>
+
+            <form method="POST" action="/admin/staff" class="step-card" style="margin-top: 20px;">
+                <h3>Nouveau compte</h3>
+                <label>Nom d'utilisateur</label>
+                <input type="text" name="username" required>
+                <label>Mot de passe (8 caractères minimum)</label>
+                <input type="password" name="password" minlength="8" required>
+                <label>Rôle</label>
+                <select name="role">
+                    ${ROLES.map(role => html`<option value="${role}">${role}</option>`)}
+                </select>
+                <button type="submit" class="refresh-btn" style="margin: 20px 0 0;">Créer</button>
+            </form>
+        </div>
+
+        <div class="table-container" style="margin-top: 30px;">
+            <h2 style="margin-bottom: 20px;">Tokens API</h2>
+            <table>
+                <thead>
+                    <tr><th>Nom</th><th>Rôle</th><th>Créé le</th><th>Dernière utilisation</th><th></th></tr>
+                </thead>
+                <tbody>
+                    ${apiTokens.map(token => html`
+                        <tr>
+                            <td><strong>${token.name}</strong></td>
+                            <td>${token.role}</td>
+                            <td>${formatDate(token.created_at)}</td>
+                            <td>${formatDateTime(token.last_used_at)}</td>
+                            <td>
+                                <form method="POST" action="/admin/staff/tokens/${token.id}/delete">
+                                    <button type="submit" class="link-btn">Révoquer</button>
+                                </form>
+                            </td>
+                        </tr>
+                    `)}
+                </tbody>
+            </table>
+
+            <form method="POST" action="/admin/staff/tokens" class="step-card" style="margin-top: 20px;">
+                <h3>Nouveau token</h3>
+                <label>Nom (ex: CRM, script de sauvegarde)</label>
+                <input type="text" name="name" required>
+                <label>Rôle</label>
+                <select name="role">
+                    ${ROLES.map(role => html`<option value="${role}">${role}</option>`)}
+                </select>
+                <button type="submit" class="refresh-btn" style="margin: 20px 0 0;">Générer</button>
+            </form>
+        </div>
+    `
+  });
+}
+
+// ==========================================
+// AUTHENTICATION
+// ==========================================
+
+/*
+Two roles:
+  admin -> everything (flows, staff accounts, data export)
+  agent -> dashboard and conversations (e.g. technicians)
+
+The admin panel uses a session cookie, /api/* accepts the same
+cookie or an API token: "Authorization: Bearer <token>".
+The first admin is created from ADMIN_USERNAME / ADMIN_PASSWORD.
+*/
+
+const ROLES = ['admin', 'agent'];
+const SESSION_COOKIE = 'smartfix_session';
+const SESSION_DURATION_MS = 12 * 60 * 60 * 1000; // 12h
+
+// Password hash format: scrypt$<salt>$<hash>
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = crypto.scryptSync(password, salt, 64).toString('hex');
+  return `scrypt$${salt}$${hash}`;
+}
+
+function verifyPassword(password, stored) {
+  const [scheme, salt, hash] = (stored || '').split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) return false;
+  const candidate = crypto.scryptSync(password, salt, 64);
+  const expected = Buffer.from(hash, 'hex');
+  return candidate.length === expected.length && crypto.timingSafeEqual(candidate, expected);
+}
+
+// Session cookies and API tokens are random; the database only keeps their hash
+function generateToken() {
+  return crypto.randomBytes(32).toString('hex');
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function parseCookies(header) {
+  const cookies = {};
+  (header || '').split(';').forEach(part => {
+    const index = part.indexOf('=');
+    if (index === -1) return;
+    const name = part.slice(0, index).trim();
+    const value = part.slice(index + 1).trim();
+    try {
+      cookies[name] = decodeURIComponent(value);
+    } catch (error) {
+      cookies[name] = value;
+    }
+  });
+  return cookies;
+}
+
+// Create the first admin from the env vars when there is no staff account yet
+async function ensureAdminAccount() {
+  const staff = await dbHelpers.getStaffUsers();
+  if (staff.length > 0) return;
+
+  const username = process.env.ADMIN_USERNAME;
+  const password = process.env.ADMIN_PASSWORD;
+  if (!username || !password) {
+    log('⚠️ No staff account: set ADMIN_USERNAME and ADMIN_PASSWORD to create the first admin');
+    return;
+  }
+
+  await dbHelpers.createStaffUser(username, hashPassword(password), 'admin');
+  log(`✅ Admin account "${username}" created`);
+}
+
+// Find who is calling: session cookie first, then API token
+async function authenticate(req, res, next) {
+  try {
+    const sessionToken = parseCookies(req.headers.cookie)[SESSION_COOKIE];
+    if (sessionToken) {
+      const staff = await dbHelpers.getStaffBySession(hashToken(sessionToken));
+      if (staff) {
+        req.staff = { ...staff, via: 'session' };
+        return next();
+      }
+    }
+
+    const authorization = req.get('Authorization') || '';
+    if (authorization.startsWith('Bearer ')) {
+      const apiToken = await dbHelpers.getApiToken(hashToken(authorization.slice(7).trim()));
+      if (apiToken) {
+        req.staff = { id: null, username: apiToken.name, role: apiToken.role, via: 'token' };
+        return next();
+      }
+    }
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+// Admin pages: redirect to the login page, or 403 for a missing role
+function requireStaff(...roles) {
+  return (req, res, next) => {
+    if (!req.staff) {
+      return res.redirect(`/admin/login?next=${encodeURIComponent(req.originalUrl)}`);
+    }
+    if (roles.length > 0 && !roles.includes(req.staff.role)) {
+      return res.status(403).send('Accès refusé');
+    }
+    next();
+  };
+}
+
+// API routes: JSON errors
+function requireApiAuth(...roles) {
+  return (req, res, next) => {
+    if (!req.staff) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+    if (roles.length > 0 && !roles.includes(req.staff.role)) {
+      return res.status(403).json({ error: 'Forbidden' });
+    }
+    next();
+  };
+}
+
+// ==========================================
+// EXPRESS SERVER
+// ==========================================
+
+const app = express();
+// Keep the raw body: the webhook signature is computed on the exact bytes Meta sent
+app.use(express.json({
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
+app.use(express.urlencoded({ extended: true }));
+app.use(authenticate);
+
+const bot = new WhatsAppChatbot(flow);
+// Version of the active flow in flow_versions (null = loaded from flows/)
+let activeFlowVersion = null;
+
+// Root endpoint
+app.get('/', (req, res) => {
+  res.json({
+    status: 'running',
+    bot: bot.flow.flow_name,
+    endpoints: {
+      webhook: '/webhook/whatsapp',
+      admin: '/admin',
+      api: '/api/users'
+    }
+  });
+});
+
+// Admin login
+app.get('/admin/login', (req, res) => {
+  res.send(renderLoginPage({ next: req.query.next }));
+});
+
+app.post('/admin/login', async (req, res) => {
+  // Only redirect inside the admin panel after login
+  const next = /^\/admin(\/|$|\?)/.test(req.body.next || '') ? req.body.next : '/admin';
+
+  try {
+    const staff = await dbHelpers.getStaffUserByUsername(req.body.username || '');
+    if (!staff || !verifyPassword(req.body.password || '', staff.password_hash)) {
+      console.warn(`🚫 Failed admin login for "${req.body.username}" (from ${req.ip})`);
+      return res.status(401).send(renderLoginPage({ error: 'Identifiants incorrects', next }));
+    }
+
+    const token = generateToken();
+    await dbHelpers.createStaffSession(hashToken(token), staff.id, new Date(Date.now() + SESSION_DURATION_MS));
+    res.cookie(SESSION_COOKIE, token, {
+      httpOnly: true,
+      sameSite: 'lax',
+      secure: process.env.NODE_ENV === 'production',
+      maxAge: SESSION_DURATION_MS
+    });
+    log(`🔐 ${staff.username} logged in`);
+
+    res.redirect(303, next);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/admin/logout', async (req, res) => {
+  try {
+    const token = parseCookies(req.headers.cookie)[SESSION_COOKIE];
+    if (token) {
+      await dbHelpers.deleteStaffSession(hashToken(token));
+    }
+    res.clearCookie(SESSION_COOKIE);
+    res.redirect(303, '/admin/login');
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
 
-// ==========================================
-// CHATBOT ENGINE (Enhanced with DB)
-// ==========================================
+// Read the customer list query (?q=&intent=&status=&from=&to=&sort=&order=&page=&per_page=):
+// { filters, errors }, invalid values are left out
+function readUserFilters(query) {
+  const errors = [];
+  const text = name => (typeof query[name] === 'string' ? query[name].trim() : '');
+  const filters = {
+    q: text('q').slice(0, 100) || null,
+    intent: null,
+    status: null,
+    from: null,
+    to: null,
+    sort: 'last_interaction',
+    order: 'desc',
+    page: 1,
+    perPage: DEFAULT_PAGE_SIZE
+  };
 
-class WhatsAppChatbot {
-  constructor(flowConfig) {
-    this.flow = flowConfig;
-    this.sessions = new Map();
+  const intent = text('intent');
+  if (INTENTS.includes(intent)) filters.intent = intent;
+  else if (intent) errors.push(`Type inconnu : ${intent}`);
+
+  const status = text('status');
+  if (TICKET_STATUSES[status]) filters.status = status;
+  else if (status) errors.push(`Statut inconnu : ${status}`);
+
+  ['from', 'to'].forEach(name => {
+    const value = text(name);
+    const date = /^\d{4}-\d{2}-\d{2}$/.test(value) && parseLocalDateTime(value);
+    if (date && toLocalDateTime(date).startsWith(value)) filters[name] = value;
+    else if (value) errors.push(`Date invalide (AAAA-MM-JJ) : ${value}`);
+  });
+  if (filters.from && filters.to && filters.from > filters.to) {
+    errors.push('La date de début est après la date de fin');
+    filters.from = filters.to = null;
   }
 
-  getSession(userId) {
-    if (!this.sessions.has(userId)) {
-      this.sessions.set(userId, {
-        currentStep: "welcome",
-        userData: {},
-        history: []
+  const sort = text('sort');
+  if (USER_SORT_COLUMNS[sort]) filters.sort = sort;
+  else if (sort) errors.push(`Tri inconnu : ${sort}`);
+  else if (filters.q) filters.sort = 'relevance'; // best matches first
+
+  const order = text('order');
+  if (order === 'asc' || order === 'desc') filters.order = order;
+  else if (order) errors.push(`Ordre inconnu : ${order}`);
+
+  const page = text('page');
+  if (/^\d+$/.test(page) && Number(page) >= 1) filters.page = Number(page);
+  else if (page) errors.push(`Page invalide : ${page}`);
+
+  const perPage = text('per_page');
+  if (/^\d+$/.test(perPage) && Number(perPage) >= 1 && Number(perPage) <= MAX_PAGE_SIZE) filters.perPage = Number(perPage);
+  else if (perPage) errors.push(`Taille de page invalide (1 à ${MAX_PAGE_SIZE}) : ${perPage}`);
+
+  return { filters, errors };
+}
+
+// Admin Dashboard (HTML)
+app.get('/admin', requireStaff(), async (req, res) => {
+  try {
+    const { filters, errors } = readUserFilters(req.query);
+    const { users, total } = await dbHelpers.getUsers(filters);
+    const stats = await dbHelpers.getStats();
+
+    res.send(renderDashboard({ staff: req.staff, users, stats, filters, total, errors }));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Flow editor (HTML)
+app.get('/admin/flows', requireStaff('admin'), async (req, res) => {
+  try {
+    const versions = await dbHelpers.getFlowVersions(bot.flow.flow_name);
+    res.send(renderFlowEditor({
+      staff: req.staff,
+      flowConfig: bot.flow,
+      versions,
+      currentVersion: activeFlowVersion,
+      saved: req.query.saved
+    }));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Flow editor: validate, save a new version and hot-swap it
+app.post('/admin/flows', requireStaff('admin'), async (req, res) => {
+  try {
+    const flowConfig = applyFlowForm(bot.flow, req.body);
+    const errors = validateFlow(flowConfig);
+
+    if (errors.length > 0) {
+      const versions = await dbHelpers.getFlowVersions(bot.flow.flow_name);
+      return res.status(400).send(renderFlowEditor({
+        staff: req.staff,
+        flowConfig,
+        versions,
+        currentVersion: activeFlowVersion,
+        errors
+      }));
+    }
+
+    const version = await dbHelpers.saveFlowVersion(flowConfig.flow_name, flowConfig);
+    bot.setFlow(flowConfig);
+    activeFlowVersion = version;
+    log(`🧩 Flow ${flowConfig.flow_name} updated to version ${version}`);
+
+    res.redirect(303, `/admin/flows?saved=${version}`);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Flow editor: restore an old version (saved again as the newest one)
+app.post('/admin/flows/versions/:version/restore', requireStaff('admin'), async (req, res) => {
+  try {
+    const saved = await dbHelpers.getFlowVersion(bot.flow.flow_name, Number(req.params.version));
+    if (!saved) {
+      return res.status(404).json({ error: 'Version not found' });
+    }
+
+    const errors = validateFlow(saved.definition);
+    if (errors.length > 0) {
+      const versions = await dbHelpers.getFlowVersions(bot.flow.flow_name);
+      return res.status(400).send(renderFlowEditor({
+        staff: req.staff,
+        flowConfig: bot.flow,
+        versions,
+        currentVersion: activeFlowVersion,
+        errors
+      }));
+    }
+
+    const version = await dbHelpers.saveFlowVersion(saved.definition.flow_name, saved.definition);
+    bot.setFlow(saved.definition);
+    activeFlowVersion = version;
+    log(`🧩 Flow ${saved.definition.flow_name} restored from version ${saved.version} as version ${version}`);
+
+    res.redirect(303, `/admin/flows?saved=${version}`);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Staff accounts and API tokens (HTML)
+async function sendStaffPage(req, res, options = {}) {
+  const staffUsers = await dbHelpers.getStaffUsers();
+  const apiTokens = await dbHelpers.getApiTokens();
+  res.send(renderStaffPage({ staff: req.staff, staffUsers, apiTokens, ...options }));
+}
+
+app.get('/admin/staff', requireStaff('admin'), async (req, res) => {
+  try {
+    await sendStaffPage(req, res);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/admin/staff', requireStaff('admin'), async (req, res) => {
+  try {
+    const username = (req.body.username || '').trim();
+    const password = req.body.password || '';
+    const role = req.body.role;
+    const errors = [];
+
+    if (!username) errors.push("Nom d'utilisateur requis");
+    if (password.length < 8) errors.push('Le mot de passe doit faire au moins 8 caractères');
+    if (!ROLES.includes(role)) errors.push(`Rôle inconnu: ${role}`);
+    if (username && await dbHelpers.getStaffUserByUsername(username)) {
+      errors.push(`Le compte "${username}" existe déjà`);
+    }
+
+    if (errors.length > 0) {
+      res.status(400);
+      return sendStaffPage(req, res, { errors });
+    }
+
+    await dbHelpers.createStaffUser(username, hashPassword(password), role);
+    log(`👥 ${req.staff.username} created ${role} account "${username}"`);
+    res.redirect(303, '/admin/staff');
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/admin/staff/tokens', requireStaff('admin'), async (req, res) => {
+  try {
+    const name = (req.body.name || '').trim();
+    const role = req.body.role;
+
+    if (!name || !ROLES.includes(role)) {
+      res.status(400);
+      return sendStaffPage(req, res, { errors: ['Nom et rôle requis'] });
+    }
+
+    // The token is only shown once, the database keeps its hash
+    const token = generateToken();
+    await dbHelpers.createApiToken(name, hashToken(token), role);
+    log(`🔑 ${req.staff.username} created ${role} API token "${name}"`);
+    await sendStaffPage(req, res, { newToken: token });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/admin/staff/tokens/:id/delete', requireStaff('admin'), async (req, res) => {
+  try {
+    await dbHelpers.deleteApiToken(Number(req.params.id));
+    log(`🔑 ${req.staff.username} revoked API token #${req.params.id}`);
+    res.redirect(303, '/admin/staff');
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Exports (CSV / XLSX, admin only): the customer list with the dashboard filters,
+// transcripts of the same customers or of one customer (?phone=)
+app.get('/admin/export/:dataset.:format', requireStaff('admin'), async (req, res) => {
+  try {
+    const { dataset, format } = req.params;
+    if (!['users', 'conversations'].includes(dataset) || !EXPORT_FORMATS.includes(format)) {
+      return res.status(404).json({ error: 'Unknown export' });
+    }
+    const { filters, errors } = readUserFilters(req.query);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid query', errors });
+    }
+    if (typeof req.query.phone === 'string' && req.query.phone) filters.phone = req.query.phone;
+
+    log(`📥 Export ${dataset}.${format} by ${req.staff.username}`);
+    if (dataset === 'users') await exportUsers(res, format, filters);
+    else await exportConversations(res, format, filters);
+  } catch (error) {
+    console.error('❌ Export error:', error);
+    // Too late for an error page once the file has started
+    if (res.headersSent) res.destroy(error);
+    else res.status(500).json({ error: error.message });
+  }
+});
+
+// Dashboard rows of one customer under the list filters (HTML fragment for the
+// live dashboard, empty when the customer does not match them)
+app.get('/admin/users/:phone/rows', requireStaff(), async (req, res) => {
+  try {
+    const { filters } = readUserFilters(req.query);
+    const { users } = await dbHelpers.getUsers({ ...filters, phone: req.params.phone, page: 1, perPage: 1 });
+    res.send(html`${users.map(renderUserRows)}`.toString());
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Conversation transcript, customer notes and tags, request editor (HTML)
+async function sendConversationPage(req, res, phone, options = {}) {
+  const user = await dbHelpers.getUser(phone);
+  const chat = user ? await dbHelpers.getChatMode(phone) : null;
+  const messages = await dbHelpers.getUserConversation(phone);
+  const quotes = await dbHelpers.getQuotes(phone);
+  const requests = await dbHelpers.getUserRequests(phone);
+  const notes = await dbHelpers.getNotes(phone);
+  const tags = await dbHelpers.getTags(phone);
+  res.send(renderConversationPage({ staff: req.staff, phone, user, chat, messages, quotes, requests, notes, tags, ...options }));
+}
+
+// Read the request editor: { fields, errors }; values parsed by the flow validators
+// (e.g. the budget in MAD) are parsed again from the corrected answers
+function readRequestForm(body, request) {
+  const errors = [];
+  const fields = {};
+  Object.keys(EDITABLE_REQUEST_FIELDS).forEach(field => {
+    fields[field] = typeof body[field] === 'string' && body[field].trim() ? body[field].trim() : null;
+  });
+  if (fields.intent && !INTENTS.includes(fields.intent)) {
+    errors.push(`Type inconnu : ${fields.intent}`);
+  }
+
+  const normalized = request.normalized ? JSON.parse(request.normalized) : {};
+  Object.keys(EDITABLE_REQUEST_FIELDS).forEach(field => {
+    const step = bot.flow.steps.find(s => s.store === field && s.validate);
+    if (!step || fields[field] === request[field]) return;
+    delete normalized[field];
+    if (fields[field] !== null) {
+      const result = validateInput(fields[field], step.validate);
+      if (result.valid) normalized[field] = result.value;
+    }
+  });
+  fields.normalized = Object.keys(normalized).length > 0 ? JSON.stringify(normalized) : null;
+  return { fields, errors };
+}
+
+app.get('/admin/conversations/:phone', requireStaff(), async (req, res) => {
+  try {
+    await sendConversationPage(req, res, req.params.phone);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/admin/requests/:id', requireStaff(), async (req, res) => {
+  try {
+    const request = await dbHelpers.getRequest(Number(req.params.id));
+    if (!request) {
+      return res.status(404).json({ error: 'Request not found' });
+    }
+    const { fields, errors } = readRequestForm(req.body, request);
+    if (errors.length > 0) {
+      res.status(400);
+      return sendConversationPage(req, res, request.user_phone, { errors });
+    }
+    await dbHelpers.updateRequestFields(request.id, request.user_phone, fields);
+
+    // The flow run still filling this request must not overwrite the correction
+    const session = await bot.getSessionData(request.user_phone);
+    if (session && session.requestId === request.id) {
+      Object.keys(EDITABLE_REQUEST_FIELDS).forEach(field => {
+        if (fields[field] === null) delete session.userData[field];
+        else session.userData[field] = fields[field];
       });
+      if (fields.normalized) session.userData.normalized = JSON.parse(fields.normalized);
+      else delete session.userData.normalized;
+      await bot.saveSession(request.user_phone, session);
     }
-    return this.sessions.get(userId);
+
+    log(`🧾 ${req.staff.username} edited request #${request.id} of ${request.user_phone}`);
+    res.redirect(303, `/admin/conversations/${encodeURIComponent(request.user_phone)}`);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
   }
+});
 
-  getStep(stepId) {
-    return this.flow.steps.find(s => s.id === stepId);
+app.post('/admin/users/:phone/tags', requireStaff(), async (req, res) => {
+  try {
+    const tag = normalizeTag(req.body.tag);
+    if (!tag) {
+      res.status(400);
+      return sendConversationPage(req, res, req.params.phone, { errors: ['Le tag est vide'] });
+    }
+    await dbHelpers.addTag(req.params.phone, tag);
+    res.redirect(303, `/admin/conversations/${encodeURIComponent(req.params.phone)}`);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
   }
+});
 
-  interpolate(text, userData) {
-    return text.replace(/\{\{(\w+)\}\}/g, (match, key) => {
-      return userData[key] || '';
-    });
+app.post('/admin/users/:phone/tags/:tag/delete', requireStaff(), async (req, res) => {
+  try {
+    await dbHelpers.removeTag(req.params.phone, req.params.tag);
+    res.redirect(303, `/admin/conversations/${encodeURIComponent(req.params.phone)}`);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
   }
+});
 
-  async handleMessage(userId, messageText) {
-    // Save user
-    await dbHelpers.saveUser(userId);
+app.post('/admin/users/:phone/notes', requireStaff(), async (req, res) => {
+  try {
+    const text = (req.body.text || '').trim();
+    if (!text) {
+      res.status(400);
+      return sendConversationPage(req, res, req.params.phone, { errors: ['La note est vide'] });
+    }
+    await dbHelpers.addNote(req.params.phone, text, req.staff.username);
+    res.redirect(303, `/admin/conversations/${encodeURIComponent(req.params.phone)}`);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
 
-    // Save incoming message
-    await dbHelpers.saveMessage(userId, 'incoming', messageText, null);
+app.post('/admin/users/:phone/notes/:id/delete', requireStaff(), async (req, res) => {
+  try {
+    await dbHelpers.deleteNote(Number(req.params.id), req.params.phone);
+    res.redirect(303, `/admin/conversations/${encodeURIComponent(req.params.phone)}`);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
 
-    // Reset command
-    if (messageText.toLowerCase() === 'menu' || messageText.toLowerCase() === 'start') {
-      this.resetSession(userId);
-      return this.startConversation(userId);
+// Live updates for the admin pages (Server-Sent Events, see LIVE_EVENT_TYPES)
+app.get('/admin/events', requireStaff(), (req, res) => {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive'
+  });
+  res.flushHeaders();
+
+  const listeners = LIVE_EVENT_TYPES.map(type => [type, (data) => {
+    res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+  }]);
+  listeners.forEach(([type, listener]) => liveEvents.on(type, listener));
+
+  // Comment lines keep proxies from closing an idle stream
+  const keepAlive = setInterval(() => res.write(': ping\n\n'), 25000);
+  req.on('close', () => {
+    clearInterval(keepAlive);
+    listeners.forEach(([type, listener]) => liveEvents.off(type, listener));
+  });
+});
+
+// Live chat with customers (HTML)
+async function sendInboxPage(req, res, options = {}) {
+  const phone = options.phone || req.query.phone || null;
+  const conversations = await dbHelpers.getInboxConversations(INBOX_RECENT_HOURS);
+  const messages = phone ? await dbHelpers.getUserConversation(phone) : [];
+  const chat = phone ? await dbHelpers.getChatMode(phone) : null;
+  res.send(renderInboxPage({ staff: req.staff, conversations, phone, messages, chat, ...options }));
+}
+
+app.get('/admin/inbox', requireStaff(), async (req, res) => {
+  try {
+    await sendInboxPage(req, res);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/admin/inbox/:phone/reply', requireStaff(), async (req, res) => {
+  const phone = req.params.phone;
+  const text = (req.body.text || '').trim();
+  try {
+    if (!text) {
+      res.status(400);
+      return sendInboxPage(req, res, { phone, notice: 'Le message est vide.' });
+    }
+    try {
+      await sendAgentReply(phone, text, req.staff.username);
+    } catch (error) {
+      const reason = error.response?.data?.error?.message || error.message;
+      res.status(502);
+      return sendInboxPage(req, res, { phone, draft: text, notice: `Le message n'a pas pu être envoyé sur WhatsApp : ${reason}` });
     }
+    log(`👤 ${req.staff.username} replied to ${phone}`);
+    res.redirect(303, `/admin/inbox?phone=${encodeURIComponent(phone)}`);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
 
-    const session = this.getSession(userId);
-    const currentStep = this.getStep(session.currentStep);
+app.post('/admin/inbox/:phone/take', requireStaff(), async (req, res) => {
+  try {
+    await changeChatMode(req.params.phone, 'human', req.staff.username);
+    res.redirect(303, `/admin/inbox?phone=${encodeURIComponent(req.params.phone)}`);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
 
-    if (!currentStep) {
-      return this.createResponse("Erreur: étape introuvable. Tapez 'menu' pour recommencer.");
+// Hand back to the bot: the customer's next message starts the menu again
+app.post('/admin/inbox/:phone/release', requireStaff(), async (req, res) => {
+  try {
+    await changeChatMode(req.params.phone, 'bot');
+    await bot.resetSession(req.params.phone);
+    res.redirect(303, `/admin/inbox?phone=${encodeURIComponent(req.params.phone)}`);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Product catalog (HTML)
+async function sendProductsPage(req, res, options = {}) {
+  const products = await dbHelpers.getProducts();
+  const reservations = await dbHelpers.getReservations();
+  res.send(renderProductsPage({ staff: req.staff, products, reservations, ...options }));
+}
+
+// Read and check a product form, returns { product, errors }
+function readProductForm(body) {
+  const product = {
+    brand: (body.brand || '').trim(),
+    model: (body.model || '').trim(),
+    storage: (body.storage || '').trim() || null,
+    condition: body.condition,
+    price: Number(body.price),
+    stock: Number(body.stock)
+  };
+  const errors = [];
+
+  if (!product.brand) errors.push('Marque requise');
+  if (!product.model) errors.push('Modèle requis');
+  if (!PRODUCT_CONDITIONS[product.condition]) errors.push(`État inconnu: ${product.condition}`);
+  if (!Number.isInteger(product.price) || product.price <= 0) errors.push('Le prix doit être un nombre entier de MAD');
+  if (!Number.isInteger(product.stock) || product.stock < 0) errors.push('Le stock doit être un nombre entier positif');
+
+  return { product, errors };
+}
+
+app.get('/admin/products', requireStaff('admin'), async (req, res) => {
+  try {
+    await sendProductsPage(req, res);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/admin/products', requireStaff('admin'), async (req, res) => {
+  try {
+    const { product, errors } = readProductForm(req.body);
+    if (errors.length > 0) {
+      res.status(400);
+      return sendProductsPage(req, res, { errors });
     }
 
-    // Store user input
-    if (currentStep.store) {
-      session.userData[currentStep.store] = messageText;
-      
-      // Store intent if defined
-      if (currentStep.intent && !session.userData.intent) {
-        session.userData.intent = currentStep.intent;
-      }
+    const id = await dbHelpers.saveProduct(product);
+    log(`📦 ${req.staff.username} added product #${id} (${productLabel(product)})`);
+    res.redirect(303, '/admin/products');
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/admin/products/:id', requireStaff('admin'), async (req, res) => {
+  try {
+    const { product, errors } = readProductForm(req.body);
+    if (errors.length > 0) {
+      res.status(400);
+      return sendProductsPage(req, res, { errors });
+    }
+
+    await dbHelpers.saveProduct({ ...product, id: Number(req.params.id) });
+    res.redirect(303, '/admin/products');
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/admin/products/:id/delete', requireStaff('admin'), async (req, res) => {
+  try {
+    await dbHelpers.deleteProduct(Number(req.params.id));
+    log(`📦 ${req.staff.username} deleted product #${req.params.id}`);
+    res.redirect(303, '/admin/products');
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Trade-in pricing rules (HTML)
+async function sendPricingPage(req, res, options = {}) {
+  const rules = await dbHelpers.getPricingRules();
+  res.send(renderPricingPage({ staff: req.staff, rules, ...options }));
+}
+
+// Read and check a pricing rule form, returns { rule, errors }
+function readPricingForm(body) {
+  const rule = {
+    brand: (body.brand || '').trim(),
+    model: (body.model || '').trim(),
+    storage: (body.storage || '').trim() || null,
+    base_price: Number(body.base_price)
+  };
+  const errors = [];
+
+  if (!rule.brand) errors.push('Marque requise');
+  if (!Number.isInteger(rule.base_price) || rule.base_price <= 0) errors.push('Le prix de base doit être un nombre entier de MAD');
+  TRADE_IN_CONDITIONS.forEach(condition => {
+    const multiplier = Number(body[`multiplier_${condition}`]);
+    if (body[`multiplier_${condition}`] === '' || !Number.isFinite(multiplier) || multiplier < 0) {
+      errors.push(`Coefficient "${condition}" invalide`);
+    }
+    rule[`multiplier_${condition}`] = multiplier;
+  });
+
+  return { rule, errors };
+}
+
+app.get('/admin/pricing', requireStaff('admin'), async (req, res) => {
+  try {
+    await sendPricingPage(req, res);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/admin/pricing', requireStaff('admin'), async (req, res) => {
+  try {
+    const { rule, errors } = readPricingForm(req.body);
+    if (errors.length > 0) {
+      res.status(400);
+      return sendPricingPage(req, res, { errors });
+    }
+
+    const id = await dbHelpers.savePricingRule(rule);
+    log(`💰 ${req.staff.username} added pricing rule #${id} (${[rule.brand, rule.model].filter(Boolean).join(' ')})`);
+    res.redirect(303, '/admin/pricing');
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/admin/pricing/:id', requireStaff('admin'), async (req, res) => {
+  try {
+    const { rule, errors } = readPricingForm(req.body);
+    if (errors.length > 0) {
+      res.status(400);
+      return sendPricingPage(req, res, { errors });
+    }
+
+    await dbHelpers.savePricingRule({ ...rule, id: Number(req.params.id) });
+    res.redirect(303, '/admin/pricing');
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
 
-      session.history.push({
-        step: currentStep.id,
-        input: messageText,
-        timestamp: new Date()
-      });
+app.post('/admin/pricing/:id/delete', requireStaff('admin'), async (req, res) => {
+  try {
+    await dbHelpers.deletePricingRule(Number(req.params.id));
+    log(`💰 ${req.staff.username} deleted pricing rule #${req.params.id}`);
+    res.redirect(303, '/admin/pricing');
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
 
-      // Save to database
-      await dbHelpers.saveUserData(userId, session.userData);
-    }
+// Repair price list (HTML)
+async function sendRepairPricesPage(req, res, options = {}) {
+  const prices = await dbHelpers.getRepairPrices();
+  res.send(renderRepairPricesPage({ staff: req.staff, prices, ...options }));
+}
 
-    // Determine next step
-    let nextStepId;
-    if (currentStep.type === "button" && currentStep.next[messageText]) {
-      nextStepId = currentStep.next[messageText];
-      
-      // Store button intent
-      if (messageText === 'buy' || messageText === 'sell' || messageText === 'repair') {
-        session.userData.intent = messageText;
-        await dbHelpers.saveUserData(userId, session.userData);
-      }
-    } else if (typeof currentStep.next === "string") {
-      nextStepId = currentStep.next;
-    } else if (currentStep.type === "button") {
-      return this.createResponse(
-        "Veuillez choisir une option valide :",
-        currentStep.buttons,
-        "button"
-      );
-    }
+// Read and check a repair price form, returns { price, errors }
+function readRepairPriceForm(body) {
+  const price = {
+    brand: (body.brand || '').trim(),
+    model: (body.model || '').trim(),
+    issue: (body.issue || '').trim().toLowerCase(),
+    parts_cost: Number(body.parts_cost),
+    labour_cost: Number(body.labour_cost),
+    turnaround_hours: Number(body.turnaround_hours)
+  };
+  const errors = [];
 
-    session.currentStep = nextStepId;
-    const nextStep = this.getStep(nextStepId);
+  if (!price.brand) errors.push('Marque requise');
+  if (!price.issue) errors.push('Problème requis');
+  if (!Number.isInteger(price.parts_cost) || price.parts_cost < 0) errors.push('Le prix des pièces doit être un nombre entier de MAD');
+  if (!Number.isInteger(price.labour_cost) || price.labour_cost < 0) errors.push("La main d'œuvre doit être un nombre entier de MAD");
+  if (!Number.isInteger(price.turnaround_hours) || price.turnaround_hours <= 0) errors.push("Le délai doit être un nombre entier d'heures");
 
-    const responseText = this.interpolate(nextStep.text, session.userData);
-    
-    // Save outgoing message
-    await dbHelpers.saveMessage(userId, 'outgoing', responseText, nextStepId);
+  return { price, errors };
+}
 
-    return this.createResponse(
-      responseText,
-      nextStep.buttons,
-      nextStep.type
-    );
+app.get('/admin/repair-prices', requireStaff('admin'), async (req, res) => {
+  try {
+    await sendRepairPricesPage(req, res);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
   }
+});
 
-  createResponse(text, buttons = null, type = "message") {
-    const response = { text };
-    if (buttons && buttons.length > 0) {
-      response.buttons = buttons;
-      response.type = "interactive";
-    } else {
-      response.type = type === "end" ? "end" : "text";
+app.post('/admin/repair-prices', requireStaff('admin'), async (req, res) => {
+  try {
+    const { price, errors } = readRepairPriceForm(req.body);
+    if (errors.length > 0) {
+      res.status(400);
+      return sendRepairPricesPage(req, res, { errors });
     }
-    return response;
-  }
 
-  startConversation(userId) {
-    const session = this.getSession(userId);
-    session.currentStep = "welcome";
-    const welcomeStep = this.getStep("welcome");
-    return this.createResponse(welcomeStep.text, welcomeStep.buttons, welcomeStep.type);
+    const id = await dbHelpers.saveRepairPrice(price);
+    log(`🔧 ${req.staff.username} added repair price #${id} (${[price.brand, price.model, price.issue].filter(Boolean).join(' ')})`);
+    res.redirect(303, '/admin/repair-prices');
+  } catch (error) {
+    res.status(500).json({ error: error.message });
   }
+});
 
-  getSessionData(userId) {
-    return this.sessions.get(userId);
-  }
+app.post('/admin/repair-prices/:id', requireStaff('admin'), async (req, res) => {
+  try {
+    const { price, errors } = readRepairPriceForm(req.body);
+    if (errors.length > 0) {
+      res.status(400);
+      return sendRepairPricesPage(req, res, { errors });
+    }
 
-  resetSession(userId) {
-    this.sessions.delete(userId);
+    await dbHelpers.saveRepairPrice({ ...price, id: Number(req.params.id) });
+    res.redirect(303, '/admin/repair-prices');
+  } catch (error) {
+    res.status(500).json({ error: error.message });
   }
-}
-
-// ==========================================
-// WHATSAPP API HELPER
-// ==========================================
+});
 
-async function sendWhatsAppMessage(to, response) {
-  const token = process.env.WHATSAPP_TOKEN;
-  const phoneNumberId = process.env.WHATSAPP_PHONE_ID;
+app.post('/admin/repair-prices/:id/delete', requireStaff('admin'), async (req, res) => {
+  try {
+    await dbHelpers.deleteRepairPrice(Number(req.params.id));
+    log(`🔧 ${req.staff.username} deleted repair price #${req.params.id}`);
+    res.redirect(303, '/admin/repair-prices');
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
 
-  let payload;
+// Repair tickets by status (HTML)
+async function sendTicketsPage(req, res, options = {}) {
+  const tickets = await dbHelpers.getRepairTickets();
+  res.send(renderTicketsPage({ staff: req.staff, tickets, ...options }));
+}
 
-  if (response.type === "interactive" && response.buttons) {
-    payload = {
-      messaging_product: "whatsapp",
-      to: to,
-      type: "interactive",
-      interactive: {
-        type: "button",
-        body: { text: response.text },
-        action: {
-          buttons: response.buttons.map(btn => ({
-            type: "reply",
-            reply: { id: btn.id, title: btn.title }
-          }))
-        }
-      }
-    };
-  } else {
-    payload = {
-      messaging_product: "whatsapp",
-      to: to,
-      type: "text",
-      text: { body: response.text }
-    };
+app.get('/admin/tickets', requireStaff(), async (req, res) => {
+  try {
+    await sendTicketsPage(req, res);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
   }
+});
 
+app.post('/admin/tickets/:id/status', requireStaff(), async (req, res) => {
   try {
-    const result = await axios.post(
-      `https://graph.facebook.com/v17.0/${phoneNumberId}/messages`,
-      payload,
-      {
-        headers: {
-          'Authorization': `Bearer ${token}`,
-          'Content-Type': 'application/json'
-        }
-      }
-    );
-    return result.data;
+    if (!TICKET_STATUSES[req.body.status]) {
+      return res.status(400).json({ error: `Unknown status: ${req.body.status}` });
+    }
+    const ticket = await dbHelpers.getRequest(Number(req.params.id));
+    if (!ticket) {
+      return res.status(404).json({ error: 'Request not found' });
+    }
+    const error = ticketTransitionError(ticket, req.body.status);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    const result = await changeTicketStatus(ticket, req.body.status, req.staff.username);
+    await sendTicketsPage(req, res, { notice: { id: ticket.id, ...result } });
   } catch (error) {
-    console.error('Error sending WhatsApp message:', error.response?.data || error.message);
-    throw error;
+    res.status(500).json({ error: error.message });
   }
+});
+
+// Daily appointment calendar and opening hours (HTML)
+async function sendAppointmentsPage(req, res, options = {}) {
+  const day = parseLocalDateTime(req.query.date || req.body.date) || new Date();
+  const openingHours = await dbHelpers.getOpeningHours();
+  const appointments = await dbHelpers.getAppointments(toLocalDateTime(day).slice(0, 10));
+  res.send(renderAppointmentsPage({ staff: req.staff, day, openingHours, appointments, ...options }));
 }
 
-// ==========================================
-// EXPRESS SERVER
-// ==========================================
+app.get('/admin/appointments', requireStaff(), async (req, res) => {
+  try {
+    await sendAppointmentsPage(req, res);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
 
-const app = express();
-app.use(express.json());
+app.post('/admin/appointments/hours', requireStaff('admin'), async (req, res) => {
+  try {
+    const hoursForm = req.body.hours || {};
+    const errors = [];
+    const rows = WEEKDAYS.map((name, weekday) => {
+      const form = hoursForm[weekday] || {};
+      const row = {
+        weekday,
+        opens: form.opens || null,
+        closes: form.closes || null,
+        capacity: Number(form.capacity)
+      };
+      if (!!row.opens !== !!row.closes || (row.opens && !/^\d{2}:\d{2}$/.test(row.opens)) || (row.closes && !/^\d{2}:\d{2}$/.test(row.closes))) {
+        errors.push(`${name} : indiquez l'ouverture et la fermeture (HH:MM), ou aucune des deux`);
+      } else if (row.opens && minutesOfDay(row.opens) + SLOT_MINUTES > minutesOfDay(row.closes)) {
+        errors.push(`${name} : la fermeture doit être au moins ${SLOT_MINUTES} min après l'ouverture`);
+      }
+      if (!Number.isInteger(row.capacity) || row.capacity < 0) {
+        errors.push(`${name} : la capacité doit être un nombre entier positif`);
+      }
+      return row;
+    });
 
-const bot = new WhatsAppChatbot(flow);
+    if (errors.length > 0) {
+      res.status(400);
+      return sendAppointmentsPage(req, res, { errors });
+    }
 
-// Root endpoint
-app.get('/', (req, res) => {
-  res.json({
-    status: 'running',
-    bot: flow.flow_name,
-    endpoints: {
-      webhook: '/webhook/whatsapp',
-      admin: '/admin',
-      api: '/api/users'
+    for (const row of rows) {
+      await dbHelpers.saveOpeningHours(row.weekday, row.opens, row.closes, row.capacity);
     }
-  });
+    log(`📅 ${req.staff.username} updated the opening hours`);
+    res.redirect(303, '/admin/appointments');
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
 });
 
-// Admin Dashboard (HTML)
-app.get('/admin', async (req, res) => {
+app.post('/admin/appointments/:id/cancel', requireStaff(), async (req, res) => {
   try {
-    const users = await dbHelpers.getAllUsers();
-    const stats = await dbHelpers.getStats();
+    await dbHelpers.cancelAppointment(Number(req.params.id));
+    log(`📅 ${req.staff.username} cancelled appointment #${req.params.id}`);
+    const date = parseLocalDateTime(req.body.date) ? req.body.date : '';
+    res.redirect(303, `/admin/appointments${date ? `?date=${date}` : ''}`);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
 
-    const html = `
-<!DOCTYPE html>
-<html lang="fr">
-<head>
-    <meta charset="UTF-8">
-    <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>Admin Dashboard - SmartFix Bot</title>
-    <style>
-        * { margin: 0; padding: 0; box-sizing: border-box; }
-        body { 
-            font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif;
-            background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
-            padding: 20px;
-        }
-        .container { max-width: 1400px; margin: 0 auto; }
-        .header {
-            background: white;
-            padding: 30px;
-            border-radius: 15px;
-            box-shadow: 0 10px 40px rgba(0,0,0,0.1);
-            margin-bottom: 30px;
-        }
-        .header h1 {
-            color: #333;
-            font-size: 32px;
-            margin-bottom: 10px;
-        }
-        .stats {
-            display: grid;
-            grid-template-columns: repeat(auto-fit, minmax(200px, 1fr));
-            gap: 20px;
-            margin-bottom: 30px;
-        }
-        .stat-card {
-            background: white;
-            padding: 25px;
-            border-radius: 15px;
-            box-shadow: 0 5px 20px rgba(0,0,0,0.1);
-            text-align: center;
-        }
-        .stat-card h3 {
-            color: #666;
-            font-size: 14px;
-            margin-bottom: 10px;
-            text-transform: uppercase;
-        }
-        .stat-card .number {
-            font-size: 36px;
-            font-weight: bold;
-            color: #667eea;
-        }
-        .table-container {
-            background: white;
-            padding: 30px;
-            border-radius: 15px;
-            box-shadow: 0 10px 40px rgba(0,0,0,0.1);
-            overflow-x: auto;
-        }
-        table {
-            width: 100%;
-            border-collapse: collapse;
-        }
-        th {
-            background: #667eea;
-            color: white;
-            padding: 15px;
-            text-align: left;
-            font-weight: 600;
-            position: sticky;
-            top: 0;
-        }
-        td {
-            padding: 15px;
-            border-bottom: 1px solid #eee;
-        }
-        tr:hover {
-            background: #f8f9ff;
-        }
-        .badge {
-            display: inline-block;
-            padding: 5px 15px;
-            border-radius: 20px;
-            font-size: 12px;
-            font-weight: 600;
-        }
-        .badge-buy { background: #d4edda; color: #155724; }
-        .badge-sell { background: #fff3cd; color: #856404; }
-        .badge-repair { background: #cce5ff; color: #004085; }
-        .refresh-btn {
-            background: #667eea;
-            color: white;
-            border: none;
-            padding: 12px 30px;
-            border-radius: 8px;
-            cursor: pointer;
-            font-size: 16px;
-            margin-left: 20px;
-        }
-        .refresh-btn:hover {
-            background: #5568d3;
-        }
-    </style>
-</head>
-<body>
-    <div class="container">
-        <div class="header">
-            <h1>📊 SmartFix Mobile - Admin Dashboard</h1>
-            <p>Gestion des conversations WhatsApp</p>
-            <button class="refresh-btn" onclick="location.reload()">🔄 Actualiser</button>
-        </div>
+// Confirm the price quoted by the bot (optionally with the final price)
+app.post('/admin/requests/:id/quote/confirm', requireStaff(), async (req, res) => {
+  try {
+    const price = Number(req.body.price);
+    const quote = await dbHelpers.confirmQuote(Number(req.params.id), Number.isInteger(price) && price > 0 ? price : null, req.staff.username);
+    if (quote) {
+      log(`💶 ${req.staff.username} confirmed the quote of request #${req.params.id} (v${quote.version})`);
+    }
+    res.redirect(303, '/admin');
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
 
-        <div class="stats">
-            <div class="stat-card">
-                <h3>Total Utilisateurs</h3>
-                <div class="number">${stats.total_users}</div>
-            </div>
-            <div class="stat-card">
-                <h3>🛒 Demandes Achat</h3>
-                <div class="number">${stats.buy_requests}</div>
-            </div>
-            <div class="stat-card">
-                <h3>💰 Demandes Vente</h3>
-                <div class="number">${stats.sell_requests}</div>
-            </div>
-            <div class="stat-card">
-                <h3>🔧 Demandes Réparation</h3>
-                <div class="number">${stats.repair_requests}</div>
-            </div>
-            <div class="stat-card">
-                <h3>💬 Total Messages</h3>
-                <div class="number">${stats.total_messages}</div>
-            </div>
-        </div>
+// Media files sent by customers
+app.get('/admin/media/:file', requireStaff(), (req, res) => {
+  const fileName = path.basename(req.params.file);
+  res.sendFile(path.join(MEDIA_DIR, fileName), (err) => {
+    if (err && !res.headersSent) res.sendStatus(404);
+  });
+});
 
-        <div class="table-container">
-            <h2 style="margin-bottom: 20px;">📱 Liste des Utilisateurs</h2>
-            <table>
-                <thead>
-                    <tr>
-                        <th>📞 Téléphone</th>
-                        <th>🎯 Type</th>
-                        <th>📱 Marque</th>
-                        <th>💰 Budget</th>
-                        <th>📊 État</th>
-                        <th>🔧 Problème</th>
-                        <th>📅 Date</th>
-                        <th>🕐 Dernière Interaction</th>
-                    </tr>
-                </thead>
-                <tbody>
-                    ${users.map(user => `
-                        <tr>
-                            <td><strong>${user.phone_number}</strong></td>
-                            <td>
-                                ${user.intent ? `<span class="badge badge-${user.intent}">${user.intent.toUpperCase()}</span>` : '-'}
-                            </td>
-                            <td>${user.brand || '-'}</td>
-                            <td>${user.budget || '-'}</td>
-                            <td>${user.condition || '-'}</td>
-                            <td>${user.issue || '-'} ${user.issue_detail || ''}</td>
-                            <td>${user.request_date ? new Date(user.request_date).toLocaleDateString('fr-FR') : '-'}</td>
-                            <td>${new Date(user.last_interaction).toLocaleString('fr-FR')}</td>
-                        </tr>
-                    `).join('')}
-                </tbody>
-            </table>
-        </div>
-    </div>
+// Job queue and dead letters (HTML)
+app.get('/admin/queue', requireStaff('admin'), async (req, res) => {
+  try {
+    const queueStats = await dbHelpers.getQueueStats();
+    const deadLetters = await dbHelpers.getDeadLetters();
+    res.send(renderQueuePage({ staff: req.staff, queueStats, deadLetters }));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
 
-    <script>
-        // Auto-refresh every 30 seconds
-        setTimeout(() => location.reload(), 30000);
-    </script>
-</body>
-</html>
-    `;
+app.post('/admin/queue/dead-letters/:id/retry', requireStaff('admin'), async (req, res) => {
+  try {
+    if (await dbHelpers.requeueDeadLetter(Number(req.params.id))) {
+      log(`🔁 ${req.staff.username} requeued dead letter #${req.params.id}`);
+      wakeQueueWorker();
+    }
+    res.redirect(303, '/admin/queue');
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
 
-    res.send(html);
+app.post('/admin/queue/dead-letters/:id/delete', requireStaff('admin'), async (req, res) => {
+  try {
+    await dbHelpers.deleteDeadLetter(Number(req.params.id));
+    res.redirect(303, '/admin/queue');
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
-// API: Get all users (JSON)
-app.get('/api/users', async (req, res) => {
+// API: Customers with their request history, same query as the dashboard list
+// (JSON, admin only: customer export)
+app.get('/api/users', requireApiAuth('admin'), async (req, res) => {
   try {
-    const users = await dbHelpers.getAllUsers();
-    res.json(users);
+    const { filters, errors } = readUserFilters(req.query);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid query', errors });
+    }
+    const { users, total } = await dbHelpers.getUsers(filters);
+    res.json({ users, total, page: filters.page, per_page: filters.perPage, pages: Math.ceil(total / filters.perPage) });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
 // API: Get user conversation
-app.get('/api/conversation/:phone', async (req, res) => {
+app.get('/api/conversation/:phone', requireApiAuth(), async (req, res) => {
   try {
     const conversation = await dbHelpers.getUserConversation(req.params.phone);
     res.json(conversation);
@@ -758,7 +7156,7 @@ app.get('/api/conversation/:phone', async (req, res) => {
 });
 
 // API: Get statistics
-app.get('/api/stats', async (req, res) => {
+app.get('/api/stats', requireApiAuth(), async (req, res) => {
   try {
     const stats = await dbHelpers.getStats();
     res.json(stats);
@@ -773,51 +7171,75 @@ app.get('/webhook/whatsapp', (req, res) => {
   const token = req.query['hub.verify_token'];
   const challenge = req.query['hub.challenge'];
 
-  console.log('📞 Webhook verification request received');
+  log('📞 Webhook verification request received');
 
   if (mode === 'subscribe' && token === process.env.VERIFY_TOKEN) {
-    console.log('✅ Webhook verified successfully!');
+    log('✅ Webhook verified successfully!');
     res.status(200).send(challenge);
   } else {
-    console.log('❌ Webhook verification failed');
+    log('❌ Webhook verification failed');
     res.sendStatus(403);
   }
 });
 
-// WhatsApp webhook messages (POST)
-app.post('/webhook/whatsapp', async (req, res) => {
-  try {
-    console.log('📨 Incoming webhook:', JSON.stringify(req.body, null, 2));
+// Check Meta's X-Hub-Signature-256 header (HMAC-SHA256 of the raw body with APP_SECRET)
+function verifyWhatsAppSignature(req, res, next) {
+  const appSecret = process.env.APP_SECRET;
+  const signature = req.get('X-Hub-Signature-256');
 
-    const entry = req.body.entry?.[0];
-    const change = entry?.changes?.[0];
-    const value = change?.value;
-    const message = value?.messages?.[0];
+  if (!appSecret) {
+    console.error('❌ Webhook rejected: APP_SECRET is not configured');
+    return res.sendStatus(401);
+  }
+  if (!signature || !req.rawBody) {
+    console.warn(`🚫 Webhook rejected: missing signature (from ${req.ip})`);
+    return res.sendStatus(401);
+  }
 
-    if (!message) {
-      console.log('⚠️ No message in webhook');
-      return res.sendStatus(200);
-    }
+  const expected = 'sha256=' + crypto
+    .createHmac('sha256', appSecret)
+    .update(req.rawBody)
+    .digest('hex');
 
-    const userId = message.from;
-    let userMessage;
+  // Compare byte lengths: a non-ASCII header can have the right string length
+  const received = Buffer.from(signature);
+  const computed = Buffer.from(expected);
+  const valid = received.length === computed.length && crypto.timingSafeEqual(received, computed);
 
-    if (message.type === "interactive") {
-      userMessage = message.interactive.button_reply.id;
-      console.log(`👆 Button clicked: ${userMessage}`);
-    } else if (message.type === "text") {
-      userMessage = message.text.body;
-      console.log(`💬 Text received: ${userMessage}`);
-    } else {
-      console.log(`⚠️ Unsupported message type: ${message.type}`);
+  if (!valid) {
+    console.warn(`🚫 Webhook rejected: invalid signature (from ${req.ip})`);
+    return res.sendStatus(401);
+  }
+  next();
+}
+
+// WhatsApp webhook messages (POST): store them in the queue and answer at once
+app.post('/webhook/whatsapp', verifyWhatsAppSignature, async (req, res) => {
+  try {
+    log('📨 Incoming webhook:', JSON.stringify(req.body, null, 2));
+
+    const messages = extractWebhookMessages(req.body)
+      .sort((a, b) => Number(a.timestamp || 0) - Number(b.timestamp || 0));
+
+    if (messages.length === 0) {
+      log('⚠️ No message in webhook');
       return res.sendStatus(200);
     }
 
-    const response = await bot.handleMessage(userId, userMessage);
-    console.log('🤖 Bot response:', response);
+    const failures = [];
+    for (const message of messages) {
+      try {
+        await enqueueIncomingMessage(message);
+      } catch (error) {
+        console.error(`❌ Could not queue message ${message.id} from ${message.from}:`, error.message);
+        failures.push({ id: message.id, from: message.from, error: error.message });
+      }
+    }
 
-    await sendWhatsAppMessage(userId, response);
-    console.log('✅ Message sent successfully');
+    if (failures.length > 0) {
+      console.error(`❌ ${failures.length}/${messages.length} webhook messages could not be queued:`, failures);
+      return res.sendStatus(500);
+    }
 
     res.sendStatus(200);
   } catch (error) {
@@ -826,36 +7248,101 @@ app.post('/webhook/whatsapp', async (req, res) => {
   }
 });
 
-// Test endpoint
-app.post('/test', async (req, res) => {
-  const { userId, message } = req.body;
-  
-  if (!userId || !message) {
-    return res.status(400).json({ error: 'userId and message are required' });
-  }
+// Test endpoint (dev only: talks to the bot without WhatsApp or signature)
+const testEndpointEnabled = process.env.ENABLE_TEST_ENDPOINT === 'true';
+if (testEndpointEnabled) {
+  app.post('/test', async (req, res) => {
+    const { userId, message } = req.body;
+    
+    if (!userId || !message) {
+      return res.status(400).json({ error: 'userId and message are required' });
+    }
 
-  try {
-    const response = await bot.handleMessage(userId, message);
-    res.json({
-      success: true,
-      response: response,
-      session: bot.getSessionData(userId)
-    });
-  } catch (error) {
-    res.status(500).json({ error: error.message });
+    try {
+      const response = await bot.handleMessage(userId, message);
+      res.json({
+        success: true,
+        response: response,
+        session: await bot.getSessionData(userId)
+      });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+}
+
+// Restore the latest flow version saved from the admin panel, if any
+async function loadSavedFlow() {
+  const saved = await dbHelpers.getFlowVersion(flow.flow_name);
+  if (!saved) return;
+
+  const errors = validateFlow(saved.definition);
+  if (errors.length > 0) {
+    console.error(`⚠️ Saved version ${saved.version} of ${flow.flow_name} is invalid, using flows/ file:\n  - ${errors.join('\n  - ')}`);
+    return;
   }
-});
 
-// Start server
-const PORT = process.env.PORT || 5000;
-app.listen(PORT, () => {
-  console.log('\n🚀 WhatsApp Chatbot Server Started!');
-  console.log('================================');
-  console.log(`📱 Bot Name: ${flow.flow_name}`);
-  console.log(`🌐 Server: http://localhost:${PORT}`);
-  console.log(`📊 Admin Panel: http://localhost:${PORT}/admin`);
-  console.log(`🔗 Webhook: http://localhost:${PORT}/webhook/whatsapp`);
-  console.log('================================\n');
-});
+  bot.setFlow(saved.definition);
+  activeFlowVersion = saved.version;
+  log(`✅ Flow ${flow.flow_name} version ${saved.version} restored from database`);
+}
+
+// Start server (only when run directly: requiring the module for tests has no side effects)
+if (require.main === module) {
+  const PORT = process.env.PORT || 5000;
+  migrateQuotesPerRequest()
+    .then(migrated => {
+      if (migrated) log('✅ Quotes are now versioned per request');
+    })
+    .catch(error => {
+      console.error('❌ Database migration error:', error);
+      process.exit(1);
+    })
+    .then(() => loadSavedFlow())
+    .catch(error => console.error('❌ Could not load saved flow versions:', error))
+    .then(() => ensureAdminAccount())
+    .catch(error => console.error('❌ Could not create the admin account:', error))
+    .then(() => startQueueWorker())
+    .catch(error => console.error('❌ Could not start the job queue:', error))
+    .then(() => {
+      app.listen(PORT, () => {
+        log('\n🚀 WhatsApp Chatbot Server Started!');
+        log('================================');
+        log(`📱 Bot Name: ${bot.flow.flow_name}`);
+        log(`🌐 Server: http://localhost:${PORT}`);
+        log(`📊 Admin Panel: http://localhost:${PORT}/admin`);
+        log(`🧩 Flow Editor: http://localhost:${PORT}/admin/flows`);
+        log(`🔗 Webhook: http://localhost:${PORT}/webhook/whatsapp`);
+        if (testEndpointEnabled) {
+          log(`🧪 Test endpoint: http://localhost:${PORT}/test (dev only)`);
+        }
+        if (!process.env.APP_SECRET) {
+          log('⚠️ APP_SECRET is not set: all webhook messages will be rejected');
+        }
+        log('================================\n');
+      });
+    });
+}
 
-module.exports = { WhatsAppChatbot, flow, sendWhatsAppMessage, dbHelpers };
\ No newline at end of file
+module.exports = {
+  WhatsAppChatbot,
+  MemorySessionStore,
+  SQLiteSessionStore,
+  flow,
+  loadFlows,
+  validateFlow,
+  detectLocale,
+  localize,
+  validateInput,
+  parseAmountMAD,
+  sendWhatsAppMessage,
+  extractWebhookMessages,
+  dbHelpers,
+  readUserFilters,
+  renderDashboard,
+  renderConversationPage,
+  verifyWhatsAppSignature,
+  sendExport,
+  nextTicketStatuses,
+  ticketTransitionError
+};
\ No newline at end of file
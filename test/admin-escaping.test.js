@@ -0,0 +1,60 @@
+// Customer text typed on WhatsApp must come out escaped in the admin pages
+
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+  WhatsAppChatbot,
+  MemorySessionStore,
+  flow,
+  dbHelpers,
+  readUserFilters,
+  renderDashboard,
+  renderConversationPage
+} = require('./helpers');
+
+const SCRIPT = '<script>alert("xss")</script>';
+const ATTRIBUTE = '" autofocus onfocus="alert(1)';
+const staff = { username: 'test', role: 'admin' };
+
+async function sendAll(bot, phone, messages) {
+  for (const message of messages) {
+    await bot.handleMessage(phone, message);
+  }
+}
+
+test('hostile customer input is escaped in the dashboard and the transcript', async () => {
+  const bot = new WhatsAppChatbot(flow, new MemorySessionStore());
+  await sendAll(bot, '212600000001', ['menu', 'buy', 'Apple', SCRIPT]);
+  await sendAll(bot, '212600000002', ['menu', 'buy', 'Apple', ATTRIBUTE]);
+
+  const { filters } = readUserFilters({});
+  const { users, total } = await dbHelpers.getUsers(filters);
+  const stats = await dbHelpers.getStats();
+  const dashboard = renderDashboard({ staff, users, stats, filters, total });
+
+  assert.ok(!dashboard.includes(SCRIPT), 'raw <script> in the dashboard');
+  assert.ok(dashboard.includes('&lt;script&gt;alert(&quot;xss&quot;)&lt;/script&gt;'));
+  assert.ok(!dashboard.includes(ATTRIBUTE), 'raw attribute payload in the dashboard');
+  assert.ok(dashboard.includes('&quot; autofocus onfocus=&quot;alert(1)'));
+
+  for (const phone of ['212600000001', '212600000002']) {
+    const page = renderConversationPage({
+      staff,
+      phone,
+      user: await dbHelpers.getUser(phone),
+      chat: await dbHelpers.getChatMode(phone),
+      messages: await dbHelpers.getUserConversation(phone),
+      requests: await dbHelpers.getUserRequests(phone)
+    });
+    assert.ok(!page.includes(SCRIPT), 'raw <script> in the transcript');
+    assert.ok(!page.includes(ATTRIBUTE), 'raw attribute payload in the transcript');
+  }
+  const transcript = renderConversationPage({
+    staff,
+    phone: '212600000002',
+    messages: await dbHelpers.getUserConversation('212600000002'),
+    requests: await dbHelpers.getUserRequests('212600000002')
+  });
+  // The request editor puts the model back in an input value
+  assert.ok(transcript.includes('value="&quot; autofocus onfocus=&quot;alert(1)"'));
+});
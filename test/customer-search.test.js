@@ -0,0 +1,40 @@
+// Customer list search (FTS5 index kept in sync with users and requests)
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { dbHelpers, readUserFilters } = require('./helpers');
+
+async function search(q) {
+  const { filters } = readUserFilters({ q });
+  const { users } = await dbHelpers.getUsers(filters);
+  return users.map(user => user.phone_number);
+}
+
+test('search by words, prefixes, accents and phone numbers', async () => {
+  await dbHelpers.saveUser('212611111111');
+  await dbHelpers.saveUser('212622222222');
+  await dbHelpers.saveUser('212633333333');
+  const screen = await dbHelpers.saveRequest(null, '212611111111', { intent: 'repair', brand: 'Samsung', model: 'A52', issue: 'ecran', issue_detail: 'Écran cassé en bas' });
+  await dbHelpers.saveRequest(null, '212622222222', { intent: 'buy', brand: 'Apple', model: 'iPhone 13' });
+
+  assert.deepStrictEqual(await search('sams ecran'), ['212611111111']);
+  assert.deepStrictEqual(await search('CASSE'), ['212611111111']);
+  assert.deepStrictEqual(await search('iphone'), ['212622222222']);
+  assert.deepStrictEqual(await search('0633'), ['212633333333'], 'local form of a customer without requests');
+  assert.deepStrictEqual(await search('21262222'), ['212622222222']);
+  assert.deepStrictEqual(await search('%_'), []);
+
+  // Requests edited later are searchable under their new answers
+  await dbHelpers.updateRequestFields(screen, '212611111111', { brand: 'Xiaomi' });
+  assert.deepStrictEqual(await search('samsung'), []);
+  assert.deepStrictEqual(await search('xiaomi'), ['212611111111']);
+});
+
+test('search results come best match first', async () => {
+  await dbHelpers.saveUser('212644444444');
+  await dbHelpers.saveUser('212655555555');
+  await dbHelpers.saveRequest(null, '212644444444', { intent: 'repair', brand: 'Oppo', issue_detail: 'batterie batterie batterie gonflée' });
+  await dbHelpers.saveRequest(null, '212655555555', { intent: 'repair', brand: 'Oppo', issue_detail: 'écran et une batterie qui chauffe, rayures, bouton volume' });
+
+  assert.deepStrictEqual(await search('batterie'), ['212644444444', '212655555555']);
+});
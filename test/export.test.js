@@ -0,0 +1,122 @@
+// Streamed exports: client backpressure, batches and dates
+process.env.TZ = 'Africa/Casablanca';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { Writable } = require('stream');
+const ExcelJS = require('exceljs');
+const { sendExport, dbHelpers, readUserFilters } = require('./helpers');
+
+// Response that only accepts data while `flowing` is true
+function slowResponse() {
+  const waiting = [];
+  const res = new Writable({
+    highWaterMark: 16 * 1024,
+    write(chunk, encoding, callback) {
+      res.bytes += chunk.length;
+      if (res.flowing) callback();
+      else waiting.push(callback);
+    }
+  });
+  res.bytes = 0;
+  res.flowing = false;
+  res.attachment = () => {};
+  res.type = () => {};
+  res.resume = () => {
+    res.flowing = true;
+    waiting.splice(0).forEach(callback => callback());
+  };
+  return res;
+}
+
+// Response keeping everything written to it
+function bufferedResponse() {
+  const chunks = [];
+  const res = new Writable({
+    write(chunk, encoding, callback) {
+      chunks.push(chunk);
+      callback();
+    }
+  });
+  res.attachment = () => {};
+  res.type = () => {};
+  res.body = () => Buffer.concat(chunks);
+  return res;
+}
+
+async function exportDates(format) {
+  const res = bufferedResponse();
+  let done = false;
+  await sendExport(res, {
+    format,
+    filename: 'test',
+    sheetName: 'Test',
+    // CURRENT_TIMESTAMP values, in UTC
+    columns: [{ header: 'Date', value: row => row.at, type: 'datetime' }],
+    nextBatch: async () => {
+      if (done) return [];
+      done = true;
+      return [{ at: '2026-01-15 09:30:00' }];
+    }
+  });
+  return res.body();
+}
+
+for (const format of ['csv', 'xlsx']) {
+  test(`${format} export stops reading batches while the client is not reading`, async () => {
+    const res = slowResponse();
+    const batches = 40;
+    let read = 0;
+    const done = sendExport(res, {
+      format,
+      filename: 'test',
+      sheetName: 'Test',
+      columns: [{ header: 'N', value: row => row.n }, { header: 'Texte', value: row => row.text }],
+      nextBatch: async () => {
+        if (read === batches) return [];
+        read += 1;
+        return Array.from({ length: 500 }, (_, n) => ({ n, text: `${read}-${n}-${Math.random().toString(36)}` }));
+      }
+    });
+
+    await new Promise(resolve => setTimeout(resolve, 500));
+    assert.ok(read < batches, `read ${read} of ${batches} batches without the client reading`);
+
+    res.resume();
+    await done;
+    assert.strictEqual(read, batches);
+    assert.ok(res.bytes > 0);
+  });
+}
+
+test('customer export batches neither skip nor repeat customers added meanwhile', async () => {
+  const phones = ['212670000001', '212670000002', '212670000003', '212670000004', '212670000005'];
+  for (const phone of phones) {
+    await dbHelpers.saveUser(phone);
+    await dbHelpers.saveRequest(null, phone, { intent: 'repair', brand: 'Nokia' });
+  }
+  const { filters } = readUserFilters({ intent: 'repair', q: 'nokia' });
+
+  const exported = [];
+  let lastId = 0;
+  for (let users = await dbHelpers.getUserBatch(filters, lastId, 2); users.length > 0; users = await dbHelpers.getUserBatch(filters, lastId, 2)) {
+    exported.push(...users.map(user => user.phone_number));
+    lastId = users[users.length - 1].id;
+    if (exported.length === 2) {
+      await dbHelpers.saveUser('212670000006');
+      await dbHelpers.saveRequest(null, '212670000006', { intent: 'repair', brand: 'Nokia' });
+    }
+  }
+  assert.deepStrictEqual(exported, [...phones, '212670000006']);
+});
+
+test('csv and xlsx exports show database timestamps in the same local time', async () => {
+  // 09:30 UTC is 10:30 in Casablanca (UTC+1)
+  const csv = (await exportDates('csv')).toString('utf8');
+  assert.match(csv, /15\/01\/2026 10:30:00/);
+
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(await exportDates('xlsx'));
+  const cell = workbook.getWorksheet('Test').getCell('A2').value;
+  assert.strictEqual(cell.toISOString(), '2026-01-15T10:30:00.000Z');
+});
@@ -0,0 +1,33 @@
+// Regex validators declared in flows
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { flow, validateFlow, validateInput } = require('./helpers');
+
+// The loaded flow with a regex validator on its first input step
+function flowWithRegex(rule) {
+  const copy = JSON.parse(JSON.stringify(flow));
+  copy.steps.find(step => step.type === 'input').validate = { type: 'regex', ...rule };
+  return copy;
+}
+
+test('stateful regex flags are rejected when the flow is validated', () => {
+  for (const flags of ['g', 'gi', 'y']) {
+    const errors = validateFlow(flowWithRegex({ pattern: '^\\d+$', flags }));
+    assert.ok(errors.some(error => error.includes('"g" and "y" are not allowed')), `flags ${flags}`);
+  }
+  assert.deepStrictEqual(validateFlow(flowWithRegex({ pattern: '^\\d+$', flags: 'i' })), []);
+});
+
+test('an invalid or missing pattern fails flow validation', () => {
+  assert.ok(validateFlow(flowWithRegex({ pattern: '(' })).some(error => error.includes('invalid regex')));
+  assert.ok(validateFlow(flowWithRegex({})).some(error => error.includes('needs a "pattern"')));
+});
+
+test('a regex validator gives the same answer every time', () => {
+  const rule = { type: 'regex', pattern: '^[a-z]{2}\\d{3}$', flags: 'i' };
+  for (let i = 0; i < 3; i++) {
+    assert.deepStrictEqual(validateInput('AB123', rule), { valid: true, value: 'AB123' });
+    assert.deepStrictEqual(validateInput('AB12', rule), { valid: false, value: null });
+  }
+});
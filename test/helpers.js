@@ -0,0 +1,6 @@
+// Loads the bot for the tests: fresh in-memory database, and no per-message
+// logs on stdout, which the test runner also uses to talk to its workers
+process.env.DB_PATH = ':memory:';
+process.env.LOG_LEVEL = 'warn';
+
+module.exports = require('../chatbot');
@@ -0,0 +1,56 @@
+// Job queue: leases and dead letters
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { dbHelpers } = require('./helpers');
+
+test('a processing job is due again once its lease expires', async () => {
+  const phone = '212600000010';
+  const first = await dbHelpers.enqueueJob(phone, 'wamid.1', { from: phone });
+  const second = await dbHelpers.enqueueJob(phone, 'wamid.2', { from: phone });
+
+  const leased = new Date(Date.now() + 60 * 1000).toISOString();
+  await dbHelpers.updateJob(first, { status: 'processing', next_attempt_at: leased });
+  let due = await dbHelpers.getDueJobs(10);
+  assert.deepStrictEqual(due.filter(job => job.user_phone === phone), [], 'later messages wait for the leased job');
+
+  const expired = new Date(Date.now() - 1000).toISOString();
+  await dbHelpers.updateJob(first, { next_attempt_at: expired });
+  due = await dbHelpers.getDueJobs(10);
+  assert.deepStrictEqual(due.filter(job => job.user_phone === phone).map(job => job.id), [first]);
+
+  await dbHelpers.deleteJob(first);
+  due = await dbHelpers.getDueJobs(10);
+  assert.deepStrictEqual(due.filter(job => job.user_phone === phone).map(job => job.id), [second]);
+});
+
+test('a job moves to the dead letters and back to the queue', async () => {
+  const phone = '212600000011';
+  const id = await dbHelpers.enqueueJob(phone, 'wamid.3', { from: phone });
+  const [job] = (await dbHelpers.getDueJobs(10)).filter(job => job.user_phone === phone);
+
+  await dbHelpers.moveJobToDeadLetters(job, 'timeout', 5);
+  assert.deepStrictEqual((await dbHelpers.getDueJobs(10)).filter(job => job.user_phone === phone), []);
+  const letter = (await dbHelpers.getDeadLetters()).find(letter => letter.message_id === 'wamid.3');
+  assert.strictEqual(letter.last_error, 'timeout');
+  assert.strictEqual(letter.attempts, 5);
+
+  assert.strictEqual(await dbHelpers.requeueDeadLetter(letter.id), true);
+  assert.strictEqual((await dbHelpers.getDeadLetters()).some(letter => letter.message_id === 'wamid.3'), false);
+  const requeued = (await dbHelpers.getDueJobs(10)).filter(job => job.user_phone === phone);
+  assert.deepStrictEqual(requeued.map(job => job.message_id), ['wamid.3']);
+  assert.notStrictEqual(requeued[0].id, id);
+  assert.strictEqual(await dbHelpers.requeueDeadLetter(letter.id), false, 'already requeued');
+});
+
+test('a job stays in the queue when its dead letter cannot be written', async () => {
+  const phone = '212600000012';
+  await dbHelpers.enqueueJob(phone, 'wamid.4', { from: phone });
+  const [job] = (await dbHelpers.getDueJobs(10)).filter(job => job.user_phone === phone);
+
+  // attempts is NOT NULL in dead_letters: the INSERT fails
+  await assert.rejects(dbHelpers.moveJobToDeadLetters(job, 'timeout', null));
+  const due = (await dbHelpers.getDueJobs(10)).filter(job => job.user_phone === phone);
+  assert.deepStrictEqual(due.map(job => job.id), [job.id]);
+  assert.strictEqual((await dbHelpers.getDeadLetters()).some(letter => letter.message_id === 'wamid.4'), false);
+});
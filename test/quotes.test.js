@@ -0,0 +1,26 @@
+// Quotes are versioned per request
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { dbHelpers } = require('./helpers');
+
+test('each request of a customer numbers its quotes from v1', async () => {
+  const phone = '212600000020';
+  await dbHelpers.saveUser(phone);
+  const first = await dbHelpers.saveRequest(null, phone, { intent: 'repair', brand: 'Apple', model: '11' });
+  const second = await dbHelpers.saveRequest(null, phone, { intent: 'repair', brand: 'Samsung', model: 'A52' });
+  const quote = { kind: 'repair', low: 400, high: 600 };
+
+  assert.strictEqual(await dbHelpers.saveQuote(first, phone, quote), 1);
+  assert.strictEqual(await dbHelpers.saveQuote(first, phone, quote), 2);
+  assert.strictEqual(await dbHelpers.saveQuote(second, phone, quote), 1);
+
+  const confirmed = await dbHelpers.confirmQuote(second, 500, 'staff');
+  assert.strictEqual(confirmed.version, 2);
+  assert.strictEqual((await dbHelpers.getLatestQuote(first)).version, 2);
+});
+
+test('a quote without a request is refused', async () => {
+  const phone = '212600000021';
+  await assert.rejects(dbHelpers.saveQuote(null, phone, { kind: 'repair', low: 400, high: 600 }), /without a request/);
+});
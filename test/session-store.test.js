@@ -0,0 +1,56 @@
+// Session stores: the in-memory Map and SQLite keep the same sessions
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { WhatsAppChatbot, MemorySessionStore, flow } = require('./helpers');
+
+const stores = {
+  memory: () => new MemorySessionStore(),
+  // Default store of the bot, on the bot's database
+  sqlite: () => new WhatsAppChatbot(flow).sessions
+};
+
+const session = {
+  currentStep: 'ask_model',
+  userData: { intent: 'repair', brand: 'Apple', locale: 'fr' },
+  history: ['welcome', 'ask_brand'],
+  retries: { ask_model: 1 },
+  requestId: 7
+};
+
+for (const [name, createStore] of Object.entries(stores)) {
+  test(`${name} store saves, loads and deletes a session`, async () => {
+    const store = createStore();
+    const phone = '212600000040';
+    assert.strictEqual(await store.get(phone), null);
+
+    await store.set(phone, session);
+    assert.deepStrictEqual(await store.get(phone), session);
+
+    const next = { ...session, currentStep: 'ask_issue', history: [...session.history, 'ask_model'], retries: {} };
+    await store.set(phone, next);
+    assert.deepStrictEqual(await store.get(phone), next);
+
+    await store.delete(phone);
+    assert.strictEqual(await store.get(phone), null);
+  });
+}
+
+test('a customer mid-flow continues after a restart', async () => {
+  const phone = '212600000045';
+  const before = new WhatsAppChatbot(flow);
+  await before.handleMessage(phone, 'menu');
+  await before.handleMessage(phone, 'buy');
+  const saved = await before.getSessionData(phone);
+
+  // New bot, new store: only the database is shared
+  const after = new WhatsAppChatbot(flow);
+  assert.deepStrictEqual(await after.getSessionData(phone), saved);
+  await after.handleMessage(phone, 'Apple');
+  const session = await after.getSessionData(phone);
+  assert.strictEqual(session.userData.brand, 'Apple');
+  assert.deepStrictEqual(session.history.slice(0, saved.history.length), saved.history);
+
+  await after.resetSession(phone);
+  assert.strictEqual(await before.getSessionData(phone), null);
+});
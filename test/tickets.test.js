@@ -0,0 +1,44 @@
+// Repair tickets only move forward through their lifecycle
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { dbHelpers, nextTicketStatuses, ticketTransitionError } = require('./helpers');
+
+test('a repair ticket moves forward, steps can be skipped', () => {
+  const ticket = { id: 1, intent: 'repair', status: 'diagnosing' };
+  assert.deepStrictEqual(nextTicketStatuses(ticket), ['waiting_parts', 'repaired', 'ready', 'delivered']);
+  assert.strictEqual(ticketTransitionError(ticket, 'waiting_parts'), null);
+  assert.strictEqual(ticketTransitionError(ticket, 'ready'), null);
+  assert.strictEqual(nextTicketStatuses({ id: 2, intent: 'repair', status: null })[0], 'received');
+});
+
+test('a repair ticket never goes back nor stays on its status', () => {
+  const delivered = { id: 1, intent: 'repair', status: 'delivered' };
+  assert.deepStrictEqual(nextTicketStatuses(delivered), []);
+  assert.match(ticketTransitionError(delivered, 'received'), /cannot move from delivered to received/);
+  assert.ok(ticketTransitionError({ id: 1, intent: 'repair', status: 'ready' }, 'ready'));
+  assert.ok(ticketTransitionError({ id: 1, intent: 'repair', status: 'ready' }, 'unknown'));
+});
+
+test('buy and sell requests have no ticket', () => {
+  for (const intent of ['buy', 'sell', null]) {
+    const request = { id: 3, intent, status: 'pending' };
+    assert.deepStrictEqual(nextTicketStatuses(request), []);
+    assert.match(ticketTransitionError(request, 'received'), /not a repair ticket/);
+  }
+});
+
+test('a status change is saved on the request', async () => {
+  const phone = '212600000030';
+  await dbHelpers.saveUser(phone);
+  const id = await dbHelpers.saveRequest(null, phone, { intent: 'repair', brand: 'Apple', model: '12' });
+
+  await dbHelpers.setTicketStatus(id, phone, 'pending', 'received', 'staff');
+  const ticket = await dbHelpers.getRequest(id);
+  assert.strictEqual(ticket.status, 'received');
+  assert.strictEqual(nextTicketStatuses(ticket)[0], 'diagnosing');
+  const [change] = await dbHelpers.getStatusChanges(id);
+  assert.strictEqual(change.from_status, 'pending');
+  assert.strictEqual(change.to_status, 'received');
+  assert.strictEqual(change.changed_by, 'staff');
+});
@@ -0,0 +1,36 @@
+// X-Hub-Signature-256 check of the WhatsApp webhook
+process.env.APP_SECRET = 'test-secret';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const { verifyWhatsAppSignature } = require('./helpers');
+
+const BODY = Buffer.from('{"entry":[]}');
+
+// Runs the middleware: the status it answered with, or 'next'
+function check(signature) {
+  const req = { rawBody: BODY, ip: '127.0.0.1', get: () => signature };
+  let result = null;
+  const res = { sendStatus: status => { result = status; } };
+  verifyWhatsAppSignature(req, res, () => { result = 'next'; });
+  return result;
+}
+
+const valid = 'sha256=' + crypto.createHmac('sha256', 'test-secret').update(BODY).digest('hex');
+
+test('a valid signature is accepted', () => {
+  assert.strictEqual(check(valid), 'next');
+});
+
+test('missing or wrong signatures get 401', () => {
+  assert.strictEqual(check(undefined), 401);
+  assert.strictEqual(check('sha256=' + '0'.repeat(64)), 401);
+  assert.strictEqual(check('sha256=abc'), 401);
+});
+
+test('a non-ASCII signature of the same string length gets 401, not an error', () => {
+  const hostile = valid.slice(0, -1) + 'é';
+  assert.strictEqual(hostile.length, valid.length);
+  assert.strictEqual(check(hostile), 401);
+});